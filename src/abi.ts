@@ -0,0 +1,454 @@
+import { Interface, Result, isAddress, isHexString } from 'ethers';
+import { ConfigurationError } from './errors';
+import type { Log } from './receipt';
+
+/**
+ * Parameter of an AGXCL function or event
+ */
+export interface AbiParameter {
+  name: string;
+  type: string;
+  /** Whether an event parameter is stored in the log topics */
+  indexed?: boolean;
+}
+
+export type StateMutability = 'view' | 'pure' | 'nonpayable' | 'payable';
+
+export interface FunctionFragment {
+  name: string;
+  inputs: AbiParameter[];
+  outputs: AbiParameter[];
+  stateMutability: StateMutability;
+}
+
+export interface EventFragment {
+  name: string;
+  inputs: AbiParameter[];
+}
+
+/**
+ * Interface description of an AGXCL contract
+ */
+export interface ContractAbi {
+  constructorInputs: AbiParameter[];
+  functions: FunctionFragment[];
+  events: EventFragment[];
+}
+
+/**
+ * Entry of a JSON ABI in the common EVM format
+ */
+export interface JsonAbiItem {
+  type: 'function' | 'event' | 'constructor' | string;
+  name?: string;
+  inputs?: AbiParameter[];
+  outputs?: AbiParameter[];
+  stateMutability?: StateMutability;
+}
+
+/** Decoded event parameters, keyed by parameter name */
+export type EventArgs = Record<string, any>;
+
+/**
+ * Log decoded with a contract's event definitions
+ */
+export interface DecodedEvent {
+  name: string;
+  args: EventArgs;
+  log: Log;
+}
+
+/** Data-location keywords that carry no type information */
+const LOCATION_KEYWORDS = ['memory', 'calldata', 'storage'];
+
+function stripComments(source: string): string {
+  return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+}
+
+function parseParameters(list: string): AbiParameter[] {
+  if (list.trim() === '') {
+    return [];
+  }
+  return list.split(',').map((part, index) => {
+    const tokens = part
+      .trim()
+      .split(/\s+/)
+      .filter((token) => !LOCATION_KEYWORDS.includes(token));
+    const indexed = tokens.includes('indexed');
+    const rest = tokens.filter((token) => token !== 'indexed');
+    return {
+      type: rest[0],
+      name: rest[1] ?? `arg${index}`,
+      ...(indexed ? { indexed } : {}),
+    };
+  });
+}
+
+/**
+ * Extract the constructor, function and event declarations from AGXCL source
+ * @param source - AGXCL contract source code
+ * @returns Contract interface description
+ */
+export function parseContractSource(source: string): ContractAbi {
+  const code = stripComments(source);
+  const abi: ContractAbi = { constructorInputs: [], functions: [], events: [] };
+
+  const constructorMatch = code.match(/\bconstructor\s*\(([^)]*)\)/);
+  if (constructorMatch) {
+    abi.constructorInputs = parseParameters(constructorMatch[1]);
+  }
+
+  const functionPattern = /\bfunction\s+(\w+)\s*\(([^)]*)\)([^{;]*)/g;
+  for (const match of code.matchAll(functionPattern)) {
+    const modifiers = match[3];
+    if (/\b(?:internal|private)\b/.test(modifiers)) {
+      // Not callable from outside the contract
+      continue;
+    }
+    const returns = modifiers.match(/\breturns\s*\(([^)]*)\)/);
+    const mutability = modifiers.match(/\b(view|pure|payable)\b/);
+    abi.functions.push({
+      name: match[1],
+      inputs: parseParameters(match[2]),
+      outputs: returns ? parseParameters(returns[1]) : [],
+      stateMutability: (mutability?.[1] as StateMutability) ?? 'nonpayable',
+    });
+  }
+
+  const eventPattern = /\bevent\s+(\w+)\s*\(([^)]*)\)/g;
+  for (const match of code.matchAll(eventPattern)) {
+    abi.events.push({ name: match[1], inputs: parseParameters(match[2]) });
+  }
+
+  return abi;
+}
+
+/**
+ * Build a contract interface description from JSON: either a
+ * {@link ContractAbi} or an EVM-style JSON ABI array
+ * @param json - Interface description, as an object or a JSON string
+ * @throws ConfigurationError if the description has neither shape
+ */
+export function parseContractJson(json: string | ContractAbi | JsonAbiItem[]): ContractAbi {
+  let value: any = json;
+  if (typeof json === 'string') {
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      throw new ConfigurationError('Invalid contract interface: not valid JSON', { cause: error });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    const params = (list?: AbiParameter[]) =>
+      (list ?? []).map((param, index) => ({
+        type: param.type,
+        name: param.name || `arg${index}`,
+        ...(param.indexed ? { indexed: true } : {}),
+      }));
+    return {
+      constructorInputs: params(value.find((item) => item.type === 'constructor')?.inputs),
+      functions: value
+        .filter((item) => item.type === 'function' && item.name)
+        .map((item) => ({
+          name: item.name,
+          inputs: params(item.inputs),
+          outputs: params(item.outputs),
+          stateMutability: item.stateMutability ?? 'nonpayable',
+        })),
+      events: value
+        .filter((item) => item.type === 'event' && item.name)
+        .map((item) => ({ name: item.name, inputs: params(item.inputs) })),
+    };
+  }
+
+  if (value && Array.isArray(value.functions) && Array.isArray(value.events)) {
+    return { constructorInputs: [], ...value };
+  }
+  throw new ConfigurationError(
+    'Invalid contract interface: expected { functions, events } or a JSON ABI array'
+  );
+}
+
+/**
+ * Check one value against an AGXCL parameter type
+ * @returns Why the value does not match, or undefined if it does
+ */
+function checkValue(type: string, value: any): string | undefined {
+  const array = type.match(/^(.*)\[(\d*)\]$/);
+  if (array) {
+    if (!Array.isArray(value)) {
+      return `expected an array for ${type}`;
+    }
+    if (array[2] !== '' && value.length !== Number(array[2])) {
+      return `expected ${array[2]} elements for ${type}, got ${value.length}`;
+    }
+    for (const item of value) {
+      const problem = checkValue(array[1], item);
+      if (problem) {
+        return problem;
+      }
+    }
+    return undefined;
+  }
+
+  const integer = type.match(/^(u?)int(\d*)$/);
+  if (integer) {
+    let amount: bigint;
+    try {
+      if (
+        !['bigint', 'number', 'string'].includes(typeof value) ||
+        (typeof value === 'number' && !Number.isSafeInteger(value)) ||
+        (typeof value === 'string' && value.trim() === '')
+      ) {
+        throw new RangeError();
+      }
+      amount = BigInt(value);
+    } catch {
+      return `expected an integer for ${type}`;
+    }
+    const bits = BigInt(integer[2] || 256);
+    const [min, max] = integer[1]
+      ? [0n, (1n << bits) - 1n]
+      : [-(1n << (bits - 1n)), (1n << (bits - 1n)) - 1n];
+    if (amount < min || amount > max) {
+      return `${String(value)} is out of range for ${type}`;
+    }
+    return undefined;
+  }
+
+  if (type === 'address') {
+    return typeof value === 'string' && isAddress(value) ? undefined : 'expected an address';
+  }
+  if (type === 'bool') {
+    return typeof value === 'boolean' ? undefined : 'expected a boolean';
+  }
+  if (type === 'string') {
+    return typeof value === 'string' ? undefined : 'expected a string';
+  }
+  const bytes = type.match(/^bytes(\d*)$/);
+  if (bytes) {
+    const length = bytes[1] ? Number(bytes[1]) : undefined;
+    return isHexString(value, length)
+      ? undefined
+      : `expected a hex string${length ? ` of ${length} bytes` : ''} for ${type}`;
+  }
+  // Types the SDK does not know are left to the node
+  return undefined;
+}
+
+/**
+ * Validate call arguments against function or constructor parameters
+ * @param name - Function name, used in the error message
+ * @param inputs - Declared parameters
+ * @param args - Arguments to check
+ * @throws ConfigurationError on a wrong argument count or a value that does
+ * not match its parameter type
+ */
+export function validateArguments(name: string, inputs: AbiParameter[], args: any[]): void {
+  if (args.length !== inputs.length) {
+    const expected = `${inputs.length} argument${inputs.length === 1 ? '' : 's'}`;
+    throw new ConfigurationError(`${name} expects ${expected}, got ${args.length}`);
+  }
+  inputs.forEach((param, index) => {
+    const problem = checkValue(param.type, args[index]);
+    if (problem) {
+      throw new ConfigurationError(`Invalid argument ${param.name} of ${name}: ${problem}`);
+    }
+  });
+}
+
+/**
+ * Convert integers in a value reported by the node to bigint, following the
+ * declared type
+ */
+function coerceValue(type: string, value: any): any {
+  const array = type.match(/^(.*)\[\d*\]$/);
+  if (array && Array.isArray(value)) {
+    return value.map((item) => coerceValue(array[1], item));
+  }
+  if (/^u?int\d*$/.test(type) && (typeof value === 'number' || typeof value === 'string')) {
+    try {
+      return BigInt(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Normalise a query result reported by the node to the declared outputs:
+ * integers become bigint, and several outputs become an object keyed by
+ * output name
+ * @param outputs - Declared outputs of the function
+ * @param data - Result as reported by the node
+ */
+export function normalizeResult(outputs: AbiParameter[], data: any): any {
+  if (outputs.length === 1) {
+    return coerceValue(outputs[0].type, data);
+  }
+  if (outputs.length > 1 && data && typeof data === 'object') {
+    const result: EventArgs = {};
+    outputs.forEach((output, index) => {
+      const value = Array.isArray(data) ? data[index] : data[output.name];
+      result[output.name] = coerceValue(output.type, value);
+    });
+    return result;
+  }
+  return data;
+}
+
+function formatParameters(params: AbiParameter[]): string {
+  return params
+    .map((param) =>
+      [param.type, param.indexed ? 'indexed' : '', param.name].filter(Boolean).join(' ')
+    )
+    .join(', ');
+}
+
+/**
+ * Convert an ethers `Result` into a plain object keyed by parameter name
+ */
+function toArgs(params: AbiParameter[], result: Result): EventArgs {
+  const args: EventArgs = {};
+  params.forEach((param, index) => {
+    const value = result[index];
+    // Indexed dynamic values (strings, bytes) are only available as their hash
+    args[param.name] = value && typeof value === 'object' && 'hash' in value ? value.hash : value;
+  });
+  return args;
+}
+
+/**
+ * Decoder for the functions and events of one AGXCL contract.
+ * Logs are expected in the EVM layout: `topics[0]` is the keccak256 hash of
+ * the event signature, indexed parameters follow in the remaining topics and
+ * the other parameters are ABI-encoded in `data`.
+ */
+export class ContractInterface {
+  readonly abi: ContractAbi;
+  private iface: Interface;
+
+  constructor(abi: ContractAbi) {
+    this.abi = abi;
+    this.iface = new Interface([
+      ...abi.functions.map(
+        (fn) =>
+          `function ${fn.name}(${formatParameters(fn.inputs)})` +
+          (fn.stateMutability === 'nonpayable' ? '' : ` ${fn.stateMutability}`) +
+          (fn.outputs.length > 0 ? ` returns (${formatParameters(fn.outputs)})` : '')
+      ),
+      ...abi.events.map((event) => `event ${event.name}(${formatParameters(event.inputs)})`),
+    ]);
+  }
+
+  /**
+   * Build an interface from AGXCL contract source
+   * @param source - AGXCL contract source code
+   */
+  static fromSource(source: string): ContractInterface {
+    return new ContractInterface(parseContractSource(source));
+  }
+
+  /**
+   * Build an interface from a JSON description
+   * @param json - {@link ContractAbi} or EVM-style JSON ABI, as an object or string
+   */
+  static fromJson(json: string | ContractAbi | JsonAbiItem[]): ContractInterface {
+    return new ContractInterface(parseContractJson(json));
+  }
+
+  getFunction(name: string): FunctionFragment | undefined {
+    return this.abi.functions.find((fn) => fn.name === name);
+  }
+
+  getEvent(name: string): EventFragment | undefined {
+    return this.abi.events.find((event) => event.name === name);
+  }
+
+  /**
+   * Topic hash identifying an event in logs
+   * @param name - Event name
+   */
+  getEventTopic(name: string): string {
+    const event = this.iface.getEvent(name);
+    if (!event) {
+      throw new ConfigurationError(`Unknown event: ${name}`);
+    }
+    return event.topicHash;
+  }
+
+  /**
+   * Build the topic filter for an event, optionally matching indexed parameters
+   * @param name - Event name
+   * @param filter - Values of indexed parameters to match, keyed by parameter name
+   * @returns Topics for a {@link LogFilter}
+   */
+  encodeEventTopics(name: string, filter: EventArgs = {}): Array<string | string[] | null> {
+    const event = this.getEvent(name);
+    if (!event) {
+      throw new ConfigurationError(`Unknown event: ${name}`);
+    }
+    for (const key of Object.keys(filter)) {
+      const input = event.inputs.find((param) => param.name === key);
+      if (!input?.indexed) {
+        throw new ConfigurationError(`Cannot filter ${name} on non-indexed parameter: ${key}`);
+      }
+    }
+    const values = event.inputs
+      .filter((param) => param.indexed)
+      .map((param) => filter[param.name] ?? null);
+    return this.iface.encodeFilterTopics(name, values);
+  }
+
+  /**
+   * Decode a log emitted by this contract
+   * @param log - Raw log
+   * @returns Decoded event, or null if the log does not match any known event
+   */
+  decodeLog(log: Log): DecodedEvent | null {
+    let parsed;
+    try {
+      parsed = this.iface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+      return null;
+    }
+    const event = parsed && this.getEvent(parsed.name);
+    if (!parsed || !event) {
+      return null;
+    }
+    return { name: event.name, args: toArgs(event.inputs, parsed.args), log };
+  }
+
+  /**
+   * Decode the ABI-encoded return data of a function
+   * @param name - Function name
+   * @param data - Return data as a hex string
+   * @returns The single return value, an object of named values for several
+   * outputs, or undefined for functions without outputs
+   */
+  decodeFunctionResult(name: string, data: string): any {
+    const fn = this.getFunction(name);
+    if (!fn) {
+      throw new ConfigurationError(`Unknown function: ${name}`);
+    }
+    const result = this.iface.decodeFunctionResult(name, data);
+    if (fn.outputs.length === 0) {
+      return undefined;
+    }
+    return fn.outputs.length === 1 ? result[0] : toArgs(fn.outputs, result);
+  }
+}
+
+/**
+ * Group decoded events by event name, e.g. `events.Mint[0].tokenId`
+ * @param decoded - Decoded events in log order
+ */
+export function groupEvents(decoded: DecodedEvent[]): Record<string, EventArgs[]> {
+  const events: Record<string, EventArgs[]> = {};
+  for (const event of decoded) {
+    (events[event.name] ??= []).push(event.args);
+  }
+  return events;
+}
@@ -0,0 +1,82 @@
+import type { AgefixError } from './errors';
+import type { BlockTag } from './receipt';
+
+/**
+ * One contract query of a batch
+ */
+export interface QueryCall {
+  contractAddress: string;
+  method: string;
+  args?: any[];
+  /** Block to read state at (default `'latest'`) */
+  blockTag?: BlockTag;
+}
+
+/**
+ * Outcome of one call of a batch: its result, or the typed error the node
+ * reported for it
+ */
+export type BatchResult = { result: any } | { error: AgefixError };
+
+export interface BatchOptions {
+  /** Maximum calls per `/query/batch` request (default 100) */
+  maxBatchSize?: number;
+  /** Milliseconds to collect concurrent queries before sending (default 0: same tick) */
+  waitMs?: number;
+}
+
+/** Default maximum number of calls per `/query/batch` request */
+export const DEFAULT_MAX_BATCH_SIZE = 100;
+
+interface PendingQuery {
+  call: QueryCall;
+  resolve: (result: BatchResult) => void;
+  reject: (error: unknown) => void;
+}
+
+/**
+ * Collects queries issued close together and hands them to the executor in
+ * one go. Queries made in the same tick end up in a single batch.
+ */
+export class QueryBatcher {
+  private execute: (calls: QueryCall[]) => Promise<BatchResult[]>;
+  private waitMs: number;
+  private pending: PendingQuery[] = [];
+  private timer?: ReturnType<typeof setTimeout>;
+
+  /**
+   * @param execute - Runs a batch; returns one result per call, in order
+   * @param options - Batching options
+   */
+  constructor(
+    execute: (calls: QueryCall[]) => Promise<BatchResult[]>,
+    options: BatchOptions = {}
+  ) {
+    this.execute = execute;
+    this.waitMs = options.waitMs ?? 0;
+  }
+
+  /**
+   * Queue a query for the next batch
+   * @param call - Contract query
+   * @returns The call's result or error once the batch completes; rejects
+   * when the batch request as a whole fails
+   */
+  enqueue(call: QueryCall): Promise<BatchResult> {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ call, resolve, reject });
+      this.timer ??= setTimeout(() => this.flush(), this.waitMs);
+    });
+  }
+
+  private flush(): void {
+    this.timer = undefined;
+    const batch = this.pending;
+    this.pending = [];
+
+    this.execute(batch.map((query) => query.call)).then(
+      (results) => batch.forEach((query, index) => query.resolve(results[index])),
+      (error) => batch.forEach((query) => query.reject(error))
+    );
+  }
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+import { generateContractFiles } from '../codegen';
+
+const USAGE = `Usage: agxcl-codegen [options] <file.agxcl | directory>...
+
+Generate typed TypeScript wrappers for AGXCL contracts.
+
+Options:
+  -o, --out <dir>         Output directory (default: ./generated)
+      --sdk-import <mod>  Module to import the SDK from (default: @agefix/agxcl-sdk)
+  -h, --help              Show this help
+`;
+
+async function main(argv: string[]): Promise<number> {
+  const inputs: string[] = [];
+  let outDir = 'generated';
+  let sdkImport: string | undefined;
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    if (arg === '-o' || arg === '--out' || arg === '--sdk-import') {
+      const value = argv[++index];
+      if (value === undefined) {
+        process.stderr.write(`Missing value for ${arg}\n\n${USAGE}`);
+        return 1;
+      }
+      if (arg === '--sdk-import') {
+        sdkImport = value;
+      } else {
+        outDir = value;
+      }
+    } else if (arg.startsWith('-')) {
+      process.stderr.write(`Unknown option: ${arg}\n\n${USAGE}`);
+      return 1;
+    } else {
+      inputs.push(arg);
+    }
+  }
+
+  if (inputs.length === 0) {
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  const generated = await generateContractFiles(inputs, outDir, { sdkImport });
+  for (const file of generated) {
+    process.stdout.write(`${file.input} -> ${file.output} (${file.className})\n`);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`agxcl-codegen: ${error instanceof Error ? error.message : error}\n`);
+    process.exitCode = 1;
+  }
+);
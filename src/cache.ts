@@ -0,0 +1,188 @@
+import type { BlockTag } from './receipt';
+import { canonicalJson } from './transaction';
+
+/**
+ * Storage backend of the query cache. Methods may be synchronous or return
+ * promises, so shared stores such as Redis can be plugged in.
+ */
+export interface CacheStore {
+  get(key: string): any | undefined | Promise<any | undefined>;
+  set(key: string, value: any): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export interface CacheOptions {
+  /** Storage backend (default: in-memory {@link LruCacheStore}) */
+  store?: CacheStore;
+  /** Capacity of the default in-memory store (default 1000) */
+  maxEntries?: number;
+  /**
+   * How long the latest block number is trusted before it is fetched again,
+   * in milliseconds (default 1000). Entries for `'latest'` belong to the block
+   * that was current when they were stored.
+   */
+  blockRefreshMs?: number;
+}
+
+export interface CacheMetrics {
+  hits: number;
+  misses: number;
+  /** Hits divided by lookups, or 0 before the first lookup */
+  hitRate: number;
+}
+
+/**
+ * In-memory store that evicts the least recently used entry when full
+ */
+export class LruCacheStore implements CacheStore {
+  private maxEntries: number;
+  private entries = new Map<string, any>();
+
+  constructor(maxEntries: number = 1000) {
+    this.maxEntries = maxEntries;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  get(key: string): any | undefined {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    // Re-insert to mark the entry as most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key: string, value: any): void {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value as string);
+    }
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache of read-only results.
+ *
+ * Keys combine the request with its block: results pinned to a block number
+ * never change, while `'latest'` results are stored under the current block
+ * number and are therefore missed once a newer block is seen. Writes sent by
+ * the client bump a per-address generation that is also part of the key, so
+ * results involving the written contract or the sender are missed as well.
+ * Stale entries are never read again and age out of the store.
+ */
+export class QueryCache {
+  private store: CacheStore;
+  private fetchBlockNumber: () => Promise<number>;
+  private blockRefreshMs: number;
+  private latestBlock?: number;
+  private latestBlockAt = 0;
+  private refreshing?: Promise<number>;
+  private generations = new Map<string, number>();
+  private hits = 0;
+  private misses = 0;
+
+  /**
+   * @param fetchBlockNumber - Returns the node's latest block number
+   * @param options - Cache options
+   */
+  constructor(fetchBlockNumber: () => Promise<number>, options: CacheOptions = {}) {
+    this.fetchBlockNumber = fetchBlockNumber;
+    this.store = options.store ?? new LruCacheStore(options.maxEntries);
+    this.blockRefreshMs = options.blockRefreshMs ?? 1000;
+  }
+
+  /**
+   * Return the cached result of a request, or load and cache it. Failed loads
+   * are not cached.
+   * @param request - Request kind and parameters, e.g. `['query', address, method, args]`
+   * @param addresses - Accounts and contracts whose writes invalidate a
+   * `'latest'` result
+   * @param blockTag - Block the result belongs to (default `'latest'`)
+   * @param load - Fetches the result from the node
+   */
+  async wrap<T>(
+    request: any[],
+    addresses: string[],
+    blockTag: BlockTag | undefined,
+    load: () => Promise<T>
+  ): Promise<T> {
+    // State at a given block number is final; only latest state is versioned
+    const version =
+      blockTag === undefined || blockTag === 'latest'
+        ? [
+            `latest@${await this.currentBlock()}`,
+            addresses.map((address) => this.generations.get(address.toLowerCase()) ?? 0),
+          ]
+        : [blockTag];
+    const key = canonicalJson([...request, ...version]);
+
+    const cached = await this.store.get(key);
+    if (cached !== undefined) {
+      this.hits += 1;
+      return cached.value as T;
+    }
+    this.misses += 1;
+    const value = await load();
+    // Wrapped, so results that are themselves undefined can be cached
+    await this.store.set(key, { value });
+    return value;
+  }
+
+  /**
+   * Record a block number reported by the node, e.g. by `getBlockNumber()`
+   * @param blockNumber - Latest block number
+   */
+  observeBlock(blockNumber: number): void {
+    if (this.latestBlock === undefined || blockNumber >= this.latestBlock) {
+      this.latestBlock = blockNumber;
+      this.latestBlockAt = Date.now();
+    }
+  }
+
+  /**
+   * Miss every cached result that involves an address, after a write to it
+   * @param address - Contract or account address
+   */
+  invalidate(address: string): void {
+    const key = address.toLowerCase();
+    this.generations.set(key, (this.generations.get(key) ?? 0) + 1);
+  }
+
+  getMetrics(): CacheMetrics {
+    const lookups = this.hits + this.misses;
+    return { hits: this.hits, misses: this.misses, hitRate: lookups ? this.hits / lookups : 0 };
+  }
+
+  /**
+   * Drop every entry and reset the metrics
+   */
+  async clear(): Promise<void> {
+    this.hits = 0;
+    this.misses = 0;
+    await this.store.clear();
+  }
+
+  private async currentBlock(): Promise<number> {
+    if (this.latestBlock !== undefined && Date.now() - this.latestBlockAt < this.blockRefreshMs) {
+      return this.latestBlock;
+    }
+    this.refreshing ??= this.fetchBlockNumber().finally(() => {
+      this.refreshing = undefined;
+    });
+    const blockNumber = await this.refreshing;
+    this.observeBlock(blockNumber);
+    // A lagging endpoint must not trigger a refetch on every lookup
+    this.latestBlockAt = Date.now();
+    return this.latestBlock ?? blockNumber;
+  }
+}
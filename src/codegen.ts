@@ -0,0 +1,392 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { AbiParameter, FunctionFragment, parseContractSource } from './abi';
+import { ConfigurationError } from './errors';
+
+export interface CodegenOptions {
+  /** Name of the generated class (default: `<ContractName>Contract`) */
+  className?: string;
+  /** Module the generated code imports the SDK from (default `'@agefix/agxcl-sdk'`) */
+  sdkImport?: string;
+  /** Source file name, mentioned in the header comment */
+  fileName?: string;
+}
+
+/**
+ * File written by {@link generateContractFiles}
+ */
+export interface GeneratedFile {
+  input: string;
+  output: string;
+  className: string;
+}
+
+/** Extension of AGXCL source files */
+export const AGXCL_EXTENSION = '.agxcl';
+
+/** Members of the generated class that contract functions must not shadow */
+const RESERVED_MEMBERS = [
+  'address',
+  'constructor',
+  'contract',
+  'deploy',
+  'getLogs',
+  'on',
+  'verify',
+];
+
+const RESERVED_WORDS = new Set(
+  (
+    'break case catch class const continue debugger default delete do else enum export ' +
+    'extends false finally for function if import in instanceof new null return super ' +
+    'switch this throw true try typeof var void while with yield let static implements ' +
+    'interface package private protected public await arguments eval'
+  ).split(' ')
+);
+
+/**
+ * TypeScript type accepted for an argument of an AGXCL type
+ */
+function inputType(type: string): string {
+  const array = type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `Array<${inputType(array[1])}>`;
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return 'bigint | number | string';
+  }
+  if (type === 'bool') {
+    return 'boolean';
+  }
+  if (type === 'address' || type === 'string' || /^bytes\d*$/.test(type)) {
+    return 'string';
+  }
+  return 'any';
+}
+
+/**
+ * TypeScript type of a decoded value of an AGXCL type
+ */
+function outputType(type: string): string {
+  const array = type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `${outputType(array[1])}[]`;
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return 'bigint';
+  }
+  return inputType(type);
+}
+
+function identifier(name: string): string {
+  return RESERVED_WORDS.has(name) ? `${name}_` : name;
+}
+
+function propertyName(name: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function parameterList(params: AbiParameter[]): string[] {
+  return params.map((param) => `${identifier(param.name)}: ${inputType(param.type)}`);
+}
+
+function returnType(outputs: AbiParameter[]): string {
+  if (outputs.length === 0) {
+    return 'void';
+  }
+  if (outputs.length === 1) {
+    return outputType(outputs[0].type);
+  }
+  const fields = outputs.map(
+    (output) => `${propertyName(output.name)}: ${outputType(output.type)}`
+  );
+  return `{ ${fields.join('; ')} }`;
+}
+
+function isReadOnly(fn: FunctionFragment): boolean {
+  return fn.stateMutability === 'view' || fn.stateMutability === 'pure';
+}
+
+/**
+ * Contract name from the source (or the file name), the capitalised base for
+ * generated type names, and the class name
+ */
+function contractNames(
+  source: string,
+  options: CodegenOptions
+): { contractName: string; baseName: string; className: string } {
+  const contractName =
+    source.match(/\bcontract\s+(\w+)/)?.[1] ??
+    (options.fileName ? path.basename(options.fileName, path.extname(options.fileName)) : '');
+  if (!/^[A-Za-z_$][\w$]*$/.test(contractName)) {
+    throw new ConfigurationError('Cannot determine the contract name; pass options.className');
+  }
+  const baseName = contractName.charAt(0).toUpperCase() + contractName.slice(1);
+  return { contractName, baseName, className: options.className ?? `${baseName}Contract` };
+}
+
+function signature(fn: FunctionFragment): string {
+  const params = fn.inputs.map((param) => `${param.type} ${param.name}`).join(', ');
+  const mutability = fn.stateMutability === 'nonpayable' ? '' : ` ${fn.stateMutability}`;
+  const returns = fn.outputs.length
+    ? ` returns (${fn.outputs.map((output) => output.type).join(', ')})`
+    : '';
+  return `function ${fn.name}(${params})${mutability}${returns}`;
+}
+
+/**
+ * Emit a method signature, wrapping the parameters when the line gets long
+ */
+function method(name: string, params: string[], result: string, body?: string[]): string[] {
+  const oneLine = `  ${name}(${params.join(', ')}): ${result}`;
+  const head =
+    oneLine.length <= 98
+      ? [oneLine]
+      : [`  ${name}(`, ...params.map((param) => `    ${param},`), `  ): ${result}`];
+  if (!body) {
+    head[head.length - 1] += ';';
+    return head;
+  }
+  head[head.length - 1] += ' {';
+  return [...head, ...body.map((line) => `    ${line}`), '  }'];
+}
+
+/**
+ * Generate a typed TypeScript wrapper class for an AGXCL contract.
+ *
+ * The class delegates to a {@link Contract} built from the embedded source and
+ * adds typed arguments and results for every function, typed event payloads
+ * and a typed `deploy` helper.
+ * @param source - AGXCL contract source code
+ * @param options - Class name, SDK import path and file name for the header
+ * @returns TypeScript module source
+ */
+export function generateContractModule(source: string, options: CodegenOptions = {}): string {
+  const abi = parseContractSource(source);
+  const { contractName, baseName, className } = contractNames(source, options);
+  const constantBase = baseName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  const sourceConstant = `${constantBase}_SOURCE`;
+  const functions = abi.functions.filter(
+    (fn, index) => abi.functions.findIndex((other) => other.name === fn.name) === index
+  );
+  const events = abi.events;
+
+  const imports = [
+    'AgefixClient',
+    'Contract',
+    'ContractDeployment',
+    'TransactionOverrides',
+    'VerificationResult',
+  ];
+  if (functions.some((fn) => isReadOnly(fn))) {
+    imports.push('QueryOptions');
+  }
+  if (functions.some((fn) => !isReadOnly(fn))) {
+    imports.push('SimulationResult', 'TransactionResult', 'WriteOptions');
+  }
+  if (events.length > 0) {
+    imports.push('DecodedEvent', 'GetLogsOptions', 'LogSubscription', 'SubscriptionOptions');
+  }
+
+  const origin = options.fileName ? ` from ${path.basename(options.fileName)}` : '';
+  const lines: string[] = [
+    `// Generated by agxcl-codegen${origin}.`,
+    '// Do not edit by hand; edit the contract source and regenerate instead.',
+    'import {',
+    ...imports.sort().map((name) => `  ${name},`),
+    `} from '${options.sdkImport ?? '@agefix/agxcl-sdk'}';`,
+    '',
+    `/** AGXCL source of ${contractName} */`,
+    `export const ${sourceConstant} = ${JSON.stringify(source)};`,
+    '',
+  ];
+
+  for (const event of events) {
+    lines.push(`/** Parameters of the ${contractName} \`${event.name}\` event */`);
+    lines.push(`export interface ${baseName}${event.name}Event {`);
+    for (const input of event.inputs) {
+      // Indexed strings, bytes and arrays are only available as their hash
+      const indexedHash = input.indexed && !/^(u?int\d*|bool|address|bytes\d+)$/.test(input.type);
+      lines.push(
+        `  ${propertyName(input.name)}: ${indexedHash ? 'string' : outputType(input.type)};`
+      );
+    }
+    lines.push('}', '');
+  }
+  if (events.length > 0) {
+    lines.push(`/** Events of ${contractName}, keyed by name */`);
+    lines.push(`export interface ${baseName}Events {`);
+    for (const event of events) {
+      lines.push(`  ${propertyName(event.name)}: ${baseName}${event.name}Event;`);
+    }
+    lines.push('}', '');
+    lines.push(
+      `/** Handler of a ${contractName} event */`,
+      `export type ${baseName}EventHandler<K extends keyof ${baseName}Events> = (`,
+      `  args: ${baseName}Events[K],`,
+      '  event: DecodedEvent',
+      ') => void;',
+      ''
+    );
+  }
+
+  lines.push(
+    '/**',
+    ` * Typed wrapper for the ${contractName} contract`,
+    ' */',
+    `export class ${className} {`,
+    '  /** Untyped wrapper the typed methods delegate to */',
+    '  readonly contract: Contract;',
+    '',
+    '  constructor(client: AgefixClient, contractAddress?: string) {',
+    `    this.contract = new Contract(client, ${sourceConstant}, contractAddress);`,
+    '  }',
+    '',
+    '  get address(): string | undefined {',
+    '    return this.contract.address;',
+    '  }',
+    '',
+    '  /**',
+    `   * Deploy a new ${contractName} contract`,
+    '   */',
+    ...method(
+      'deploy',
+      [...parameterList(abi.constructorInputs), 'overrides?: TransactionOverrides'],
+      'Promise<ContractDeployment>',
+      [
+        `return this.contract.deploy([${abi.constructorInputs
+          .map((param) => identifier(param.name))
+          .join(', ')}], overrides);`,
+      ]
+    ),
+    '',
+    '  /**',
+    `   * Check that the deployed code is the ${contractName} source this class was generated from`,
+    '   */',
+    '  verify(): Promise<VerificationResult> {',
+    '    return this.contract.verify();',
+    '  }'
+  );
+
+  for (const fn of functions) {
+    const name = RESERVED_MEMBERS.includes(fn.name) ? `${fn.name}_` : fn.name;
+    const params = parameterList(fn.inputs);
+    const call = `this.contract.functions[${JSON.stringify(fn.name)}](${[
+      ...fn.inputs.map((param) => identifier(param.name)),
+      'options',
+    ].join(', ')})`;
+    lines.push('', `  /** \`${signature(fn)}\` */`);
+
+    if (isReadOnly(fn)) {
+      lines.push(
+        ...method(
+          name,
+          [...params, 'options?: QueryOptions'],
+          `Promise<${returnType(fn.outputs)}>`,
+          [`return ${call};`]
+        )
+      );
+    } else {
+      lines.push(
+        ...method(
+          name,
+          [...params, 'options: WriteOptions & { dryRun: true }'],
+          'Promise<SimulationResult>'
+        ),
+        ...method(
+          name,
+          [...params, 'options?: WriteOptions & { dryRun?: false }'],
+          'Promise<TransactionResult>'
+        ),
+        ...method(
+          name,
+          [...params, 'options?: WriteOptions'],
+          'Promise<TransactionResult | SimulationResult>',
+          [`return ${call};`]
+        )
+      );
+    }
+  }
+
+  if (events.length > 0) {
+    const eventsType = `${baseName}Events`;
+    lines.push(
+      '',
+      '  /**',
+      '   * Subscribe to contract events as they are mined',
+      '   */',
+      `  on<K extends keyof ${eventsType}>(`,
+      '    event: K,',
+      `    filter: Partial<${eventsType}[K]> | ${baseName}EventHandler<K>,`,
+      `    handler?: ${baseName}EventHandler<K>,`,
+      '    options?: SubscriptionOptions',
+      '  ): LogSubscription {',
+      '    return this.contract.on(event as string, filter as any, handler as any, options);',
+      '  }',
+      '',
+      '  /**',
+      '   * Iterate over past events of the contract',
+      '   */',
+      '  getLogs(',
+      `    options: Omit<GetLogsOptions, 'address' | 'interface' | 'event'> & {`,
+      `      event?: keyof ${eventsType};`,
+      '    } = {}',
+      '  ): AsyncGenerator<DecodedEvent> {',
+      '    return this.contract.getLogs(options as GetLogsOptions);',
+      '  }'
+    );
+  }
+
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * Collect AGXCL files from files and directories (searched recursively)
+ */
+async function collectSources(inputs: string[]): Promise<string[]> {
+  const files: string[] = [];
+  for (const input of inputs) {
+    const stat = await fs.stat(input);
+    if (!stat.isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    const entries = await fs.readdir(input, { withFileTypes: true });
+    const nested = entries
+      .filter((entry) => entry.isDirectory() || entry.name.endsWith(AGXCL_EXTENSION))
+      .map((entry) => path.join(input, entry.name));
+    files.push(...(await collectSources(nested)));
+  }
+  return files;
+}
+
+/**
+ * Generate a TypeScript wrapper for every AGXCL source file. `vault.agxcl`
+ * becomes `<outDir>/vault.ts`.
+ * @param inputs - `.agxcl` files, or directories to search for them
+ * @param outDir - Directory the generated modules are written to
+ * @param options - SDK import path
+ * @returns The files written
+ */
+export async function generateContractFiles(
+  inputs: string[],
+  outDir: string,
+  options: Pick<CodegenOptions, 'sdkImport'> = {}
+): Promise<GeneratedFile[]> {
+  const sources = await collectSources(inputs);
+  if (sources.length === 0) {
+    throw new ConfigurationError(`No ${AGXCL_EXTENSION} files found`);
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+  const generated: GeneratedFile[] = [];
+  for (const input of sources) {
+    const source = await fs.readFile(input, 'utf8');
+    const output = path.join(outDir, `${path.basename(input, path.extname(input))}.ts`);
+    await fs.writeFile(output, generateContractModule(source, { ...options, fileName: input }));
+    const { className } = contractNames(source, { fileName: input });
+    generated.push({ input, output, className });
+  }
+  return generated;
+}
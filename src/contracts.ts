@@ -1,196 +1,1273 @@
-import AgefixClient from './index';
+import { isHexString } from 'ethers';
+import AgefixClient, {
+  ContractDeployment,
+  QueryOptions,
+  SimulationResult,
+  TransactionResult,
+} from './index';
+import {
+  ContractAbi,
+  ContractInterface,
+  DecodedEvent,
+  EventArgs,
+  FunctionFragment,
+  JsonAbiItem,
+  normalizeResult,
+  validateArguments,
+} from './abi';
+import { ConfigurationError } from './errors';
+import { GetLogsOptions } from './logs';
+import { Log, toBigInt } from './receipt';
+import { LogSubscription, SubscriptionOptions } from './subscriptions';
+import {
+  BUILTIN_TEMPLATES,
+  NFT_TEMPLATE,
+  TOKEN_TEMPLATE,
+  TemplateInfo,
+  sourceHash,
+} from './templates';
+import { Quantity, TransactionOverrides } from './transaction';
+import { formatUnits, parseUnits, toAmount } from './units';
+
+export type EventHandler = (args: EventArgs, event: DecodedEvent) => void;
+
+/**
+ * Subscribe to one event of a contract, optionally filtered on indexed parameters
+ */
+function subscribeEvent(
+  client: AgefixClient,
+  contractAddress: string,
+  iface: ContractInterface,
+  event: string,
+  filterOrHandler: EventArgs | EventHandler,
+  handler?: EventHandler,
+  options?: SubscriptionOptions
+): LogSubscription {
+  const filter = typeof filterOrHandler === 'function' ? {} : filterOrHandler;
+  const onEvent = typeof filterOrHandler === 'function' ? filterOrHandler : handler;
+  if (!onEvent) {
+    throw new ConfigurationError('Event handler required');
+  }
+
+  const subscription = client.subscribeLogs(
+    { address: contractAddress, topics: iface.encodeEventTopics(event, filter) },
+    { ...options, decode: (log) => iface.decodeLog(log) }
+  );
+  return subscription.on('log', (_log, decoded) => {
+    if (decoded && decoded.name === event) {
+      onEvent(decoded.args, decoded);
+    }
+  });
+}
+
+/** Registry reference of the template `TokenContract` deploys */
+const TOKEN_TEMPLATE_ID = 'token@1.3.0';
+
+/**
+ * Decimals of tokens deployed without an explicit `decimals` option: whole,
+ * indivisible tokens, as deployed before decimals were configurable
+ */
+const DEFAULT_TOKEN_DECIMALS = 0;
+/** Registry reference of the template `NFTContract` deploys */
+const NFT_TEMPLATE_ID = 'nft@1.1.0';
+
+const TOKEN_INTERFACE = TOKEN_TEMPLATE.interface;
+const NFT_INTERFACE = NFT_TEMPLATE.interface;
+
+/**
+ * Result of {@link NFTContract.mint}
+ */
+export interface MintResult extends TransactionResult {
+  /**
+   * Id of the minted token, when the node reports the return value or the
+   * `Mint` event with the submission; otherwise set once `wait()` resolves
+   */
+  tokenId?: bigint;
+}
+
+/**
+ * Optional features of a token deployed by {@link TokenContract.deploy}
+ */
+export interface TokenFeatures {
+  /** The owner can mint new tokens */
+  mintable?: boolean;
+  /** Holders can burn their own tokens */
+  burnable?: boolean;
+  /** The owner can pause transfers, minting and burning */
+  pausable?: boolean;
+  /** Maximum total supply in base units; enables the supply cap */
+  cap?: Quantity;
+  /**
+   * The deployer becomes the owner and can transfer ownership (default: on
+   * when `mintable` or `pausable` is set, which require it)
+   */
+  ownable?: boolean;
+}
+
+/**
+ * Features a deployed token was built with
+ */
+export interface TokenFeatureFlags {
+  mintable: boolean;
+  burnable: boolean;
+  pausable: boolean;
+  capped: boolean;
+  ownable: boolean;
+}
+
+/**
+ * Options of {@link TokenContract.deploy}
+ */
+export interface TokenDeployOptions extends TransactionOverrides, TokenFeatures {
+  /** Decimal places of token amounts (default 0: whole tokens) */
+  decimals?: number;
+}
+
+/**
+ * Options of the helper write methods
+ */
+export interface WriteOptions extends TransactionOverrides {
+  /** Only simulate the write and report its outcome; nothing is signed or sent */
+  dryRun?: boolean;
+}
+
+/**
+ * Helper write method: takes its arguments, then optional
+ * {@link WriteOptions}; resolves to a {@link SimulationResult} with
+ * `dryRun: true`
+ */
+export interface WriteMethod<Args extends any[]> {
+  (...args: [...Args, WriteOptions & { dryRun: true }]): Promise<SimulationResult>;
+  (...args: [...Args, (WriteOptions & { dryRun?: false })?]): Promise<TransactionResult>;
+}
+
+/**
+ * Options of {@link NFTContract.safeTransferFrom}
+ */
+export interface SafeTransferOptions extends WriteOptions {
+  /** Data passed on to a receiving contract (default `'0x'`) */
+  data?: string;
+}
+
+/**
+ * Send a write, or simulate it when `dryRun` is set
+ */
+async function writeContract(
+  client: AgefixClient,
+  contractAddress: string,
+  method: string,
+  args: any[],
+  options: WriteOptions = {}
+): Promise<TransactionResult | SimulationResult> {
+  const { dryRun, ...overrides } = options;
+  return dryRun
+    ? client.simulateTransaction(contractAddress, method, args, overrides)
+    : client.executeTransaction(contractAddress, method, args, overrides);
+}
+
+/**
+ * Outcome of comparing the code deployed at an address with the expected source
+ */
+export interface VerificationResult {
+  address: string;
+  /** Whether the deployed code is one of the expected sources */
+  match: boolean;
+  /** Why verification failed: nothing deployed at the address, or different code */
+  reason?: 'no-code' | 'mismatch';
+  /** Hash of the deployed code, when there is a contract at the address */
+  codeHash?: string;
+  /** Hashes the deployed code was compared with */
+  expectedHashes: string[];
+  /** Registered template the deployed code matches, if any */
+  template?: TemplateInfo;
+}
+
+/**
+ * Hashes of every built-in version of a template, in every feature combination
+ */
+function builtinHashes(id: string): string[] {
+  return BUILTIN_TEMPLATES.filter((entry) => entry.id === id).flatMap((entry) =>
+    entry.template.variantHashes()
+  );
+}
+
+/**
+ * Tell the features of a token from its deployed code
+ */
+async function detectTokenFeatures(
+  client: AgefixClient,
+  address: string
+): Promise<TokenFeatureFlags> {
+  const deployed = await client.getCode(address);
+  for (const entry of BUILTIN_TEMPLATES) {
+    const values =
+      deployed && entry.id === 'token' ? entry.template.matchHash(deployed.codeHash) : undefined;
+    if (values) {
+      return {
+        mintable: values.mintable === true,
+        burnable: values.burnable === true,
+        pausable: values.pausable === true,
+        capped: values.capped === true,
+        ownable: values.ownable === true,
+      };
+    }
+  }
+  throw new ConfigurationError(
+    `Token at ${address} does not run a built-in token template; its features are unknown`
+  );
+}
+
+/**
+ * Compare the code deployed at an address with a set of source hashes
+ */
+async function verifyCode(
+  client: AgefixClient,
+  address: string,
+  expectedHashes: string[]
+): Promise<VerificationResult> {
+  const deployed = await client.getCode(address);
+  if (!deployed) {
+    return { address, match: false, reason: 'no-code', expectedHashes };
+  }
+
+  const match = expectedHashes.includes(deployed.codeHash);
+  const registered = client.templates.findByHash(deployed.codeHash);
+  return {
+    address,
+    match,
+    ...(match ? {} : { reason: 'mismatch' as const }),
+    codeHash: deployed.codeHash,
+    expectedHashes,
+    ...(registered
+      ? { template: { id: registered.id, version: registered.version, hash: registered.hash } }
+      : {}),
+  };
+}
+
+/**
+ * Check that a name or symbol is a non-empty string
+ */
+function requireLabel(field: string, value: string): void {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ConfigurationError(`${field} must be a non-empty string`);
+  }
+}
+
+/**
+ * Read a view function in strict mode, so a failed query throws instead of
+ * being returned as a `null` value
+ */
+async function readContract(
+  client: AgefixClient,
+  contractAddress: string,
+  method: string,
+  args: any[]
+): Promise<any> {
+  const result = await client.queryContract(contractAddress, method, args, {
+    strict: true,
+  });
+  return result.data;
+}
+
+/**
+ * Read a token id reported by the node, or undefined if there is none
+ */
+function toTokenId(value: unknown): bigint | undefined {
+  try {
+    return value === undefined || value === null ? undefined : toBigInt(value);
+  } catch {
+    return undefined;
+  }
+}
 
 /**
  * Token Contract Helper
  * Provides utilities for creating and managing AGXCL token contracts
  */
 export class TokenContract {
+  /** Functions and events of the token template */
+  static readonly interface = TOKEN_INTERFACE;
+
   private client: AgefixClient;
   private contractAddress?: string;
+  private decimalsValue?: Promise<number>;
+  private knownFeatures?: TokenFeatureFlags;
+  private detectingFeatures?: Promise<TokenFeatureFlags>;
 
-  constructor(client: AgefixClient, contractAddress?: string) {
+  /** Owner of the token; only on ownable tokens */
+  owner?: () => Promise<string>;
+  /** Hand the owner rights to another address; owner only, on ownable tokens */
+  transferOwnership?: WriteMethod<[newOwner: string]>;
+  /**
+   * Create new tokens, in base units; owner only, on mintable tokens, and
+   * never beyond the cap
+   */
+  mint?: WriteMethod<[to: string, amount: Quantity]>;
+  /** Destroy tokens of the signer, in base units; only on burnable tokens */
+  burn?: WriteMethod<[amount: Quantity]>;
+  /** Whether transfers are paused; only on pausable tokens */
+  paused?: () => Promise<boolean>;
+  /** Stop transfers, minting and burning; owner only, on pausable tokens */
+  pause?: WriteMethod<[]>;
+  /** Resume transfers, minting and burning; owner only, on pausable tokens */
+  unpause?: WriteMethod<[]>;
+  /** Supply cap in base units; only on capped tokens */
+  cap?: () => Promise<bigint>;
+
+  /**
+   * @param client - Client to send requests through
+   * @param contractAddress - Address of a deployed token (optional)
+   * @param features - Features the deployed token was built with, when known;
+   * otherwise `getFeatures()` reads them from the deployed code
+   */
+  constructor(client: AgefixClient, contractAddress?: string, features?: TokenFeatureFlags) {
     this.client = client;
     this.contractAddress = contractAddress;
+    if (contractAddress) {
+      client.registerInterface(contractAddress, TOKEN_INTERFACE);
+    }
+    if (features) {
+      this.installFeatures(features);
+    }
   }
 
   /**
    * Deploy a new token contract
    * @param name - Token name
    * @param symbol - Token symbol
-   * @param totalSupply - Initial supply
-   * @returns Contract deployment info
+   * @param totalSupply - Initial supply in base units, credited to the
+   * deployer; use `parseUnits(amount, decimals)` to convert whole tokens.
+   * Without the `decimals` option a base unit is a whole token.
+   * @param options - Decimals, features, and gas, fee, nonce and value
+   * settings (optional)
+   * @returns Contract deployment info, with the `token@1.3.0` template and hashes
+   * @throws ConfigurationError if the name or symbol is empty, the supply or
+   * cap is not a non-negative integer, the supply exceeds the cap, the
+   * decimals are out of range or a feature that needs an owner is combined
+   * with `ownable: false`
+   *
+   * @example
+   * await token.deploy('Reward', 'RWD', parseUnits('1000', 18), {
+   *   decimals: 18,
+   *   mintable: true,
+   *   pausable: true,
+   *   cap: parseUnits('1000000', 18),
+   * });
    */
-  async deploy(name: string, symbol: string, totalSupply: string) {
-    const tokenCode = `
-contract Token {
-  state {
-    string name = "${name}";
-    string symbol = "${symbol}";
-    uint256 totalSupply = ${totalSupply};
-    mapping(address => uint256) balances;
-    mapping(address => mapping(address => uint256)) allowances;
+  async deploy(
+    name: string,
+    symbol: string,
+    totalSupply: Quantity,
+    options: TokenDeployOptions = {}
+  ) {
+    const {
+      decimals = DEFAULT_TOKEN_DECIMALS,
+      mintable = false,
+      burnable = false,
+      pausable = false,
+      cap,
+      ownable = mintable || pausable,
+      ...overrides
+    } = options;
+    requireLabel('Token name', name);
+    requireLabel('Token symbol', symbol);
+
+    const supply = toAmount('totalSupply', totalSupply);
+    const constructorArgs: any[] = [name, symbol, decimals, supply];
+    if (cap !== undefined) {
+      const supplyCap = toAmount('cap', cap);
+      if (supply > supplyCap) {
+        throw new ConfigurationError(`Initial supply ${supply} exceeds the cap of ${supplyCap}`);
+      }
+      constructorArgs.push(supplyCap);
+    }
+    const features = { mintable, burnable, pausable, capped: cap !== undefined, ownable };
+
+    const deployment = await this.client.deployTemplate(TOKEN_TEMPLATE_ID, {
+      parameters: features,
+      constructorArgs,
+      overrides,
+    });
+    this.contractAddress = deployment.contractAddress;
+    this.decimalsValue = Promise.resolve(decimals);
+    this.installFeatures(features);
+    return deployment;
   }
 
-  constructor() {
-    balances[msg.sender] = totalSupply;
+  /**
+   * Get the optional features of the token and install their helper methods.
+   * Features passed to the constructor or set by `deploy` are returned as
+   * they are; otherwise they are read from the deployed code. Tokens deployed
+   * before `token@1.3.0` have none.
+   * @throws ConfigurationError if the features are not known and the deployed
+   * code is not a built-in token template, so they cannot be told
+   */
+  async getFeatures(): Promise<TokenFeatureFlags> {
+    if (this.knownFeatures) {
+      return this.knownFeatures;
+    }
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    // A failed lookup is not remembered
+    this.detectingFeatures ??= detectTokenFeatures(this.client, this.contractAddress).finally(
+      () => {
+        this.detectingFeatures = undefined;
+      }
+    );
+    const features = await this.detectingFeatures;
+    this.installFeatures(features);
+    return features;
   }
 
-  function balanceOf(address account) public view returns (uint256) {
-    return balances[account];
+  /**
+   * Check that the contract at the address runs one of the SDK's token
+   * templates, or the given source
+   * @param source - Expected AGXCL source (default: any built-in token template version)
+   * @returns Match / mismatch report; `template` tells which version matched
+   */
+  async verify(source?: string): Promise<VerificationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return verifyCode(
+      this.client,
+      this.contractAddress,
+      source === undefined ? builtinHashes('token') : [sourceHash(source)]
+    );
   }
 
-  function transfer(address to, uint256 amount) public returns (bool) {
-    require(balances[msg.sender] >= amount, "Insufficient balance");
-    balances[msg.sender] -= amount;
-    balances[to] += amount;
-    emit Transfer(msg.sender, to, amount);
-    return true;
+  /**
+   * Get the token name. Tokens deployed from `token@1.0.0` do not expose it.
+   */
+  async name(): Promise<string> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await readContract(this.client, this.contractAddress, 'name', []);
   }
 
-  function approve(address spender, uint256 amount) public returns (bool) {
-    allowances[msg.sender][spender] = amount;
-    emit Approval(msg.sender, spender, amount);
-    return true;
+  /**
+   * Get the token symbol. Tokens deployed from `token@1.0.0` do not expose it.
+   */
+  async symbol(): Promise<string> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await readContract(this.client, this.contractAddress, 'symbol', []);
   }
 
-  function transferFrom(address from, address to, uint256 amount) public returns (bool) {
-    require(balances[from] >= amount, "Insufficient balance");
-    require(allowances[from][msg.sender] >= amount, "Insufficient allowance");
-    balances[from] -= amount;
-    balances[to] += amount;
-    allowances[from][msg.sender] -= amount;
-    emit Transfer(from, to, amount);
-    return true;
+  /**
+   * Get the number of decimal places of the token's amounts; read once and
+   * then remembered. Tokens deployed before `token@1.2.0` do not expose it.
+   */
+  async decimals(): Promise<number> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    this.decimalsValue ??= readContract(this.client, this.contractAddress, 'decimals', []).then(
+      Number
+    );
+    try {
+      return await this.decimalsValue;
+    } catch (error) {
+      // Do not remember a failed read
+      this.decimalsValue = undefined;
+      throw error;
+    }
   }
 
-  event Transfer(address indexed from, address indexed to, uint256 value);
-  event Approval(address indexed owner, address indexed spender, uint256 value);
-}
-    `;
+  /**
+   * Convert a decimal token amount to base units, using the token's decimals
+   * @param value - Amount, e.g. `'1.5'`
+   * @throws ConfigurationError if the amount is negative, not a number or
+   * more precise than the token's decimals
+   */
+  async parseUnits(value: string | number | bigint): Promise<bigint> {
+    return parseUnits(value, await this.decimals());
+  }
 
-    const deployment = await this.client.deployContract(tokenCode);
-    this.contractAddress = deployment.contractAddress;
-    return deployment;
+  /**
+   * Format an amount in base units as a decimal token amount
+   * @param value - Amount in base units, e.g. a balance
+   */
+  async formatUnits(value: bigint | number | string): Promise<string> {
+    return formatUnits(value, await this.decimals());
   }
 
   /**
-   * Get token balance for an address
+   * Get the total supply in base units. Tokens deployed from `token@1.0.0`
+   * do not expose it.
    */
-  async balanceOf(address: string): Promise<string> {
-    if (!this.contractAddress) throw new Error('Contract not deployed');
-    const result = await this.client.queryContract(
-      this.contractAddress,
-      'balanceOf',
-      [address]
+  async totalSupply(): Promise<bigint> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return toBigInt(await readContract(this.client, this.contractAddress, 'totalSupply', []));
+  }
+
+  /**
+   * Get the token balance of an address in base units
+   */
+  async balanceOf(address: string): Promise<bigint> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return toBigInt(await readContract(this.client, this.contractAddress, 'balanceOf', [address]));
+  }
+
+  /**
+   * Get the amount, in base units, a spender may still transfer on behalf of an owner.
+   * Tokens deployed from `token@1.0.0` do not expose it.
+   * @param owner - Token holder
+   * @param spender - Approved spender
+   */
+  async allowance(owner: string, spender: string): Promise<bigint> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return toBigInt(
+      await readContract(this.client, this.contractAddress, 'allowance', [owner, spender])
     );
-    return result.data;
   }
 
   /**
    * Transfer tokens to another address
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
    */
-  async transfer(to: string, amount: string) {
-    if (!this.contractAddress) throw new Error('Contract not deployed');
-    return await this.client.executeTransaction(
+  transfer(
+    to: string,
+    amount: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  transfer(
+    to: string,
+    amount: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async transfer(
+    to: string,
+    amount: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
       this.contractAddress,
       'transfer',
-      [to, amount]
+      [to, toAmount('amount', amount)],
+      options
     );
   }
 
   /**
    * Approve spender to use tokens
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
    */
-  async approve(spender: string, amount: string) {
-    if (!this.contractAddress) throw new Error('Contract not deployed');
-    return await this.client.executeTransaction(
+  approve(
+    spender: string,
+    amount: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  approve(
+    spender: string,
+    amount: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async approve(
+    spender: string,
+    amount: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
       this.contractAddress,
       'approve',
-      [spender, amount]
+      [spender, toAmount('amount', amount)],
+      options
+    );
+  }
+
+  /**
+   * Transfer tokens on behalf of an owner, within the allowance it approved
+   * for the signer
+   * @param from - Token holder
+   * @param to - Recipient
+   * @param amount - Amount to transfer
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
+   */
+  transferFrom(
+    from: string,
+    to: string,
+    amount: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  transferFrom(
+    from: string,
+    to: string,
+    amount: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async transferFrom(
+    from: string,
+    to: string,
+    amount: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
+      this.contractAddress,
+      'transferFrom',
+      [from, to, toAmount('amount', amount)],
+      options
     );
   }
+
+  /**
+   * Raise a spender's allowance by an amount. Unlike changing it with
+   * `approve`, this cannot be front-run by the spender to spend both the
+   * old and the new allowance. Requires `token@1.1.0` or later.
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
+   */
+  increaseAllowance(
+    spender: string,
+    addedValue: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  increaseAllowance(
+    spender: string,
+    addedValue: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async increaseAllowance(
+    spender: string,
+    addedValue: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
+      this.contractAddress,
+      'increaseAllowance',
+      [spender, toAmount('addedValue', addedValue)],
+      options
+    );
+  }
+
+  /**
+   * Lower a spender's allowance by an amount; reverts if the allowance is
+   * smaller than the amount. Requires `token@1.1.0` or later.
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
+   */
+  decreaseAllowance(
+    spender: string,
+    subtractedValue: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  decreaseAllowance(
+    spender: string,
+    subtractedValue: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async decreaseAllowance(
+    spender: string,
+    subtractedValue: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
+      this.contractAddress,
+      'decreaseAllowance',
+      [spender, toAmount('subtractedValue', subtractedValue)],
+      options
+    );
+  }
+
+  /**
+   * Subscribe to token events as they are mined
+   * @param event - Event name, e.g. `'Transfer'`
+   * @param filter - Values of indexed parameters to match (optional)
+   * @param handler - Called with the decoded event parameters
+   * @param options - Subscription options
+   * @returns Subscription; listen for `removed` to handle reorgs and call
+   * `unsubscribe()` to stop
+   */
+  on(
+    event: string,
+    filter: EventArgs | EventHandler,
+    handler?: EventHandler,
+    options?: SubscriptionOptions
+  ): LogSubscription {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return subscribeEvent(
+      this.client,
+      this.contractAddress,
+      TOKEN_INTERFACE,
+      event,
+      filter,
+      handler,
+      options
+    );
+  }
+
+  /**
+   * Remember the features of the token and install the helper methods of
+   * the enabled ones; the others are removed
+   */
+  private installFeatures(features: TokenFeatureFlags): void {
+    this.knownFeatures = features;
+    const send = async (method: string, args: any[], options?: WriteOptions) => {
+      if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+      return await writeContract(this.client, this.contractAddress, method, args, options);
+    };
+    const read = async (method: string) => {
+      if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+      return await readContract(this.client, this.contractAddress, method, []);
+    };
+
+    delete this.owner;
+    delete this.transferOwnership;
+    delete this.mint;
+    delete this.burn;
+    delete this.paused;
+    delete this.pause;
+    delete this.unpause;
+    delete this.cap;
+    if (features.ownable) {
+      this.owner = () => read('owner');
+      this.transferOwnership = ((newOwner: string, options?: WriteOptions) =>
+        send('transferOwnership', [newOwner], options)) as WriteMethod<[newOwner: string]>;
+    }
+    if (features.mintable) {
+      this.mint = ((to: string, amount: Quantity, options?: WriteOptions) =>
+        send('mint', [to, toAmount('amount', amount)], options)) as WriteMethod<
+        [to: string, amount: Quantity]
+      >;
+    }
+    if (features.burnable) {
+      this.burn = ((amount: Quantity, options?: WriteOptions) =>
+        send('burn', [toAmount('amount', amount)], options)) as WriteMethod<[amount: Quantity]>;
+    }
+    if (features.pausable) {
+      this.paused = async () => Boolean(await read('paused'));
+      this.pause = ((options?: WriteOptions) => send('pause', [], options)) as WriteMethod<[]>;
+      this.unpause = ((options?: WriteOptions) => send('unpause', [], options)) as WriteMethod<[]>;
+    }
+    if (features.capped) {
+      this.cap = async () => toBigInt(await read('cap'));
+    }
+  }
 }
 
 /**
  * NFT Contract Helper
  */
 export class NFTContract {
+  /** Functions and events of the NFT template */
+  static readonly interface = NFT_INTERFACE;
+
   private client: AgefixClient;
   private contractAddress?: string;
 
   constructor(client: AgefixClient, contractAddress?: string) {
     this.client = client;
     this.contractAddress = contractAddress;
+    if (contractAddress) {
+      client.registerInterface(contractAddress, NFT_INTERFACE);
+    }
   }
 
   /**
    * Deploy a new NFT contract
+   * @param overrides - Gas, fee, nonce and value settings (optional)
+   * @throws ConfigurationError if the name or symbol is empty
    */
-  async deploy(name: string, symbol: string) {
-    const nftCode = `
-contract NFT {
-  state {
-    string name = "${name}";
-    string symbol = "${symbol}";
-    uint256 nextTokenId = 1;
-    mapping(uint256 => address) owners;
-    mapping(uint256 => string) tokenURIs;
-    mapping(address => uint256) balances;
+  async deploy(name: string, symbol: string, overrides?: TransactionOverrides) {
+    requireLabel('Collection name', name);
+    requireLabel('Collection symbol', symbol);
+    const deployment = await this.client.deployTemplate(NFT_TEMPLATE_ID, {
+      constructorArgs: [name, symbol],
+      overrides,
+    });
+    this.contractAddress = deployment.contractAddress;
+    return deployment;
   }
 
-  function mint(address to, string memory uri) public returns (uint256) {
-    uint256 tokenId = nextTokenId++;
-    owners[tokenId] = to;
-    tokenURIs[tokenId] = uri;
-    balances[to]++;
-    emit Mint(to, tokenId, uri);
-    return tokenId;
+  /**
+   * Check that the contract at the address runs the SDK's NFT template, or
+   * the given source
+   * @param source - Expected AGXCL source (default: the NFT template)
+   * @returns Match / mismatch report
+   */
+  async verify(source?: string): Promise<VerificationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return verifyCode(
+      this.client,
+      this.contractAddress,
+      source === undefined ? builtinHashes('nft') : [sourceHash(source)]
+    );
   }
 
-  function ownerOf(uint256 tokenId) public view returns (address) {
-    return owners[tokenId];
+  /**
+   * Mint a new NFT
+   * @returns Transaction info and the id of the minted token. When the node
+   * reports neither the return value nor the `Mint` event, `tokenId` is
+   * unset until `wait()` reads it from the mined receipt.
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate; the simulated `returnValue` is the id that would be minted
+   */
+  mint(
+    to: string,
+    uri: string,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  mint(to: string, uri: string, options?: WriteOptions & { dryRun?: false }): Promise<MintResult>;
+  async mint(
+    to: string,
+    uri: string,
+    options: WriteOptions = {}
+  ): Promise<MintResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    const { dryRun, ...overrides } = options;
+    if (dryRun) {
+      return this.client.simulateTransaction(this.contractAddress, 'mint', [to, uri], overrides);
+    }
+    const tx = await this.client.executeTransaction(
+      this.contractAddress,
+      'mint',
+      [to, uri],
+      overrides
+    );
+
+    const result: MintResult = {
+      ...tx,
+      tokenId: toTokenId(tx.returnValue ?? tx.events?.Mint?.[0]?.tokenId),
+      wait: async (waitOptions) => {
+        const receipt = await tx.wait(waitOptions);
+        result.tokenId ??= toTokenId(receipt.events.Mint?.[0]?.tokenId);
+        return receipt;
+      },
+    };
+    return result;
   }
 
-  function tokenURI(uint256 tokenId) public view returns (string memory) {
-    return tokenURIs[tokenId];
+  /**
+   * Get NFT owner
+   */
+  async ownerOf(tokenId: Quantity): Promise<string> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await readContract(this.client, this.contractAddress, 'ownerOf', [
+      toAmount('tokenId', tokenId),
+    ]);
   }
 
-  function balanceOf(address owner) public view returns (uint256) {
-    return balances[owner];
+  /**
+   * Get the metadata URI of a token
+   */
+  async tokenURI(tokenId: Quantity): Promise<string> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await readContract(this.client, this.contractAddress, 'tokenURI', [
+      toAmount('tokenId', tokenId),
+    ]);
   }
 
-  event Mint(address indexed to, uint256 indexed tokenId, string uri);
-}
-    `;
+  /**
+   * Get the number of tokens an address owns
+   */
+  async balanceOf(owner: string): Promise<bigint> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return toBigInt(await readContract(this.client, this.contractAddress, 'balanceOf', [owner]));
+  }
 
-    const deployment = await this.client.deployContract(nftCode);
-    this.contractAddress = deployment.contractAddress;
-    return deployment;
+  /**
+   * Get the number of tokens minted
+   */
+  async totalSupply(): Promise<bigint> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return toBigInt(await readContract(this.client, this.contractAddress, 'totalSupply', []));
   }
 
   /**
-   * Mint a new NFT
+   * Get the ids of every token an address owns, in no particular order
+   */
+  async tokensOfOwner(owner: string): Promise<bigint[]> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    const tokenIds = await readContract(this.client, this.contractAddress, 'tokensOfOwner', [
+      owner,
+    ]);
+    return (Array.isArray(tokenIds) ? tokenIds : []).map((tokenId) => toBigInt(tokenId));
+  }
+
+  /**
+   * Get the address approved to transfer a token, or the zero address
    */
-  async mint(to: string, uri: string) {
-    if (!this.contractAddress) throw new Error('Contract not deployed');
-    return await this.client.executeTransaction(
+  async getApproved(tokenId: Quantity): Promise<string> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await readContract(this.client, this.contractAddress, 'getApproved', [
+      toAmount('tokenId', tokenId),
+    ]);
+  }
+
+  /**
+   * Whether an operator may transfer every token of an owner
+   */
+  async isApprovedForAll(owner: string, operator: string): Promise<boolean> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return Boolean(
+      await readContract(this.client, this.contractAddress, 'isApprovedForAll', [owner, operator])
+    );
+  }
+
+  /**
+   * Transfer a token. The signer must own it or be approved for it.
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
+   */
+  transferFrom(
+    from: string,
+    to: string,
+    tokenId: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  transferFrom(
+    from: string,
+    to: string,
+    tokenId: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async transferFrom(
+    from: string,
+    to: string,
+    tokenId: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
       this.contractAddress,
-      'mint',
-      [to, uri]
+      'transferFrom',
+      [from, to, toAmount('tokenId', tokenId)],
+      options
     );
   }
 
   /**
-   * Get NFT owner
+   * Transfer a token like {@link transferFrom}, but revert when the recipient
+   * is a contract that does not accept it through `onNFTReceived`
+   * @param options - Data for the recipient, gas, fee, nonce and value
+   * settings, or `dryRun` to only simulate (optional)
+   */
+  safeTransferFrom(
+    from: string,
+    to: string,
+    tokenId: Quantity,
+    options: SafeTransferOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  safeTransferFrom(
+    from: string,
+    to: string,
+    tokenId: Quantity,
+    options?: SafeTransferOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async safeTransferFrom(
+    from: string,
+    to: string,
+    tokenId: Quantity,
+    options: SafeTransferOptions = {}
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    const { data = '0x', ...writeOptions } = options;
+    if (!isHexString(data)) {
+      throw new ConfigurationError(`Invalid data: ${data}`, { method: 'safeTransferFrom' });
+    }
+    return await writeContract(
+      this.client,
+      this.contractAddress,
+      'safeTransferFrom',
+      [from, to, toAmount('tokenId', tokenId), data],
+      writeOptions
+    );
+  }
+
+  /**
+   * Approve an address to transfer one token; the zero address clears the
+   * approval. A transfer also clears it.
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
    */
-  async ownerOf(tokenId: number): Promise<string> {
-    if (!this.contractAddress) throw new Error('Contract not deployed');
-    const result = await this.client.queryContract(
+  approve(
+    to: string,
+    tokenId: Quantity,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  approve(
+    to: string,
+    tokenId: Quantity,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async approve(
+    to: string,
+    tokenId: Quantity,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
       this.contractAddress,
-      'ownerOf',
-      [tokenId]
+      'approve',
+      [to, toAmount('tokenId', tokenId)],
+      options
     );
-    return result.data;
+  }
+
+  /**
+   * Allow or forbid an operator, e.g. a marketplace, to transfer every token
+   * of the signer
+   * @param options - Gas, fee, nonce and value settings, or `dryRun` to
+   * only simulate (optional)
+   */
+  setApprovalForAll(
+    operator: string,
+    approved: boolean,
+    options: WriteOptions & { dryRun: true }
+  ): Promise<SimulationResult>;
+  setApprovalForAll(
+    operator: string,
+    approved: boolean,
+    options?: WriteOptions & { dryRun?: false }
+  ): Promise<TransactionResult>;
+  async setApprovalForAll(
+    operator: string,
+    approved: boolean,
+    options?: WriteOptions
+  ): Promise<TransactionResult | SimulationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return await writeContract(
+      this.client,
+      this.contractAddress,
+      'setApprovalForAll',
+      [operator, approved],
+      options
+    );
+  }
+
+  /**
+   * Subscribe to NFT events as they are mined
+   * @param event - Event name, e.g. `'Mint'`
+   * @param filter - Values of indexed parameters to match (optional)
+   * @param handler - Called with the decoded event parameters
+   * @param options - Subscription options
+   * @returns Subscription; listen for `removed` to handle reorgs and call
+   * `unsubscribe()` to stop
+   */
+  on(
+    event: string,
+    filter: EventArgs | EventHandler,
+    handler?: EventHandler,
+    options?: SubscriptionOptions
+  ): LogSubscription {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return subscribeEvent(
+      this.client,
+      this.contractAddress,
+      NFT_INTERFACE,
+      event,
+      filter,
+      handler,
+      options
+    );
+  }
+}
+
+/**
+ * Contract method generated from a function declaration. Takes the function's
+ * arguments, optionally followed by {@link QueryOptions} for `view` / `pure`
+ * functions or {@link WriteOptions} for the others.
+ */
+export type ContractMethod = (...args: any[]) => Promise<any>;
+
+/**
+ * Wrapper for any AGXCL contract, built from its source or a JSON interface.
+ *
+ * Every declared function becomes a method, on `contract.functions` and, when
+ * the name is free, on the contract itself. `view` and `pure` functions are
+ * queried and resolve to the result, with integers as bigint; other
+ * functions are sent as transactions and resolve to the
+ * {@link TransactionResult}. Arguments are checked against the declared
+ * parameter count and types before anything is sent.
+ *
+ * @example
+ * const vault = new Contract(client, vaultSource, vaultAddress);
+ * const shares = await vault.sharesOf(account);
+ * await vault.deposit(1000n, { gasLimit: 100000n });
+ */
+export class Contract {
+  [method: string]: any;
+
+  /** Functions and events of the contract */
+  readonly interface: ContractInterface;
+  /** Generated methods, keyed by function name */
+  readonly functions: Record<string, ContractMethod> = {};
+  private client: AgefixClient;
+  private source?: string;
+  private contractAddress?: string;
+
+  /**
+   * @param client - Client used for queries and transactions
+   * @param definition - AGXCL source, a JSON interface ({@link ContractAbi} or
+   * EVM-style JSON ABI), or a {@link ContractInterface}
+   * @param contractAddress - Address of the deployed contract (optional; set by `deploy`)
+   */
+  constructor(
+    client: AgefixClient,
+    definition: string | ContractAbi | JsonAbiItem[] | ContractInterface,
+    contractAddress?: string
+  ) {
+    this.client = client;
+    if (definition instanceof ContractInterface) {
+      this.interface = definition;
+    } else if (typeof definition === 'string' && !/^\s*[[{]/.test(definition)) {
+      this.source = definition;
+      this.interface = ContractInterface.fromSource(definition);
+    } else {
+      this.interface = ContractInterface.fromJson(definition);
+    }
+
+    for (const fn of this.interface.abi.functions) {
+      if (this.functions[fn.name]) {
+        continue;
+      }
+      const method: ContractMethod = (...args) => this.invoke(fn, args);
+      this.functions[fn.name] = method;
+      if (!(fn.name in this)) {
+        this[fn.name] = method;
+      }
+    }
+
+    if (contractAddress) {
+      this.attach(contractAddress);
+    }
+  }
+
+  /**
+   * Address of the contract, once deployed or attached
+   */
+  get address(): string | undefined {
+    return this.contractAddress;
+  }
+
+  /**
+   * Point the wrapper at a deployed instance of the contract
+   * @param contractAddress - Contract address
+   */
+  attach(contractAddress: string): this {
+    this.contractAddress = contractAddress;
+    this.client.registerInterface(contractAddress, this.interface);
+    return this;
+  }
+
+  /**
+   * Deploy the contract source. Only available for contracts built from source.
+   * @param constructorArgs - Constructor arguments, validated against the declaration
+   * @param overrides - Gas, fee, nonce and value settings (optional)
+   * @returns Contract deployment info
+   */
+  async deploy(
+    constructorArgs: any[] = [],
+    overrides?: TransactionOverrides
+  ): Promise<ContractDeployment> {
+    if (!this.source) {
+      throw new ConfigurationError('Contract source required to deploy', { method: 'deploy' });
+    }
+    validateArguments('constructor', this.interface.abi.constructorInputs, constructorArgs);
+    const deployment = await this.client.deployContract(this.source, constructorArgs, overrides);
+    this.attach(deployment.contractAddress);
+    return deployment;
+  }
+
+  /**
+   * Subscribe to contract events as they are mined
+   * @param event - Event name
+   * @param filter - Values of indexed parameters to match (optional)
+   * @param handler - Called with the decoded event parameters
+   * @param options - Subscription options
+   * @returns Subscription; listen for `removed` to handle reorgs and call
+   * `unsubscribe()` to stop
+   */
+  on(
+    event: string,
+    filter: EventArgs | EventHandler,
+    handler?: EventHandler,
+    options?: SubscriptionOptions
+  ): LogSubscription {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return subscribeEvent(
+      this.client,
+      this.contractAddress,
+      this.interface,
+      event,
+      filter,
+      handler,
+      options
+    );
+  }
+
+  /**
+   * Iterate over past events of the contract; see {@link AgefixClient.getLogs}
+   * @param options - Event name, indexed filter and block range
+   */
+  getLogs(
+    options: Omit<GetLogsOptions, 'address' | 'interface'> = {}
+  ): AsyncGenerator<DecodedEvent> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    return this.client.getLogs({
+      ...options,
+      address: this.contractAddress,
+      interface: this.interface,
+    });
+  }
+
+  /**
+   * Check that the code deployed at the contract's address is the given
+   * source, or the source the wrapper was built from
+   * @param source - Expected AGXCL source (default: the wrapper's source)
+   * @returns Match / mismatch report
+   * @throws ConfigurationError if no source is given and the wrapper was
+   * built from a JSON interface
+   */
+  async verify(source: string | undefined = this.source): Promise<VerificationResult> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+    if (source === undefined) {
+      throw new ConfigurationError('Contract source required to verify', { method: 'verify' });
+    }
+    return verifyCode(this.client, this.contractAddress, [sourceHash(source)]);
+  }
+
+  /**
+   * Decode logs emitted by this contract
+   * @param logs - Raw logs, e.g. from a receipt
+   * @returns Decoded events; logs of other events are skipped
+   */
+  decodeLogs(logs: Log[]): DecodedEvent[] {
+    return logs
+      .map((log) => this.interface.decodeLog(log))
+      .filter((event): event is DecodedEvent => event !== null);
+  }
+
+  private async invoke(fn: FunctionFragment, args: any[]): Promise<any> {
+    if (!this.contractAddress) throw new ConfigurationError('Contract not deployed');
+
+    let options: (QueryOptions & WriteOptions) | undefined;
+    const last = args[args.length - 1];
+    if (
+      args.length === fn.inputs.length + 1 &&
+      (last === undefined || (last !== null && typeof last === 'object' && !Array.isArray(last)))
+    ) {
+      options = last;
+      args = args.slice(0, -1);
+    }
+    validateArguments(fn.name, fn.inputs, args);
+
+    if (fn.stateMutability === 'view' || fn.stateMutability === 'pure') {
+      const result = await this.client.queryContract(this.contractAddress, fn.name, args, {
+        ...options,
+        strict: true,
+      });
+      return normalizeResult(fn.outputs, result.data);
+    }
+    return writeContract(this.client, this.contractAddress, fn.name, args, options);
   }
 }
 
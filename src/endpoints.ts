@@ -0,0 +1,272 @@
+import { ConfigurationError } from './errors';
+
+/**
+ * RPC endpoint with an optional weight for weighted selection
+ */
+export interface RpcEndpointConfig {
+  url: string;
+  /** Relative share of traffic with the `weighted` strategy (default 1) */
+  weight?: number;
+}
+
+export type EndpointStrategy = 'ordered' | 'weighted';
+
+/**
+ * - `healthy`: serving requests normally
+ * - `degraded`: recent error rate above the threshold; used only as a fallback
+ * - `down`: too many consecutive failures; skipped until the cooldown expires
+ * - `inconsistent`: wrong chain id or too far behind the other endpoints
+ */
+export type EndpointStatus = 'healthy' | 'degraded' | 'down' | 'inconsistent';
+
+export interface FailoverOptions {
+  /** Try endpoints in the configured order, or spread load by weight (default `ordered`) */
+  strategy?: EndpointStrategy;
+  /** Consecutive failures after which an endpoint is marked down (default 3) */
+  maxConsecutiveFailures?: number;
+  /** How long a down endpoint is skipped, in milliseconds (default 30000) */
+  cooldownMs?: number;
+  /** Smoothed error rate above which an endpoint is degraded (default 0.5) */
+  maxErrorRate?: number;
+  /** Probe all endpoints before the first request and exclude inconsistent ones */
+  verifyConsistency?: boolean;
+  /** Blocks an endpoint may lag behind the highest one before it is inconsistent (default 5) */
+  maxBlockLag?: number;
+  /** Probe all endpoints periodically, in milliseconds (disabled by default) */
+  healthCheckIntervalMs?: number;
+}
+
+/**
+ * Health snapshot of a single endpoint
+ */
+export interface EndpointHealth {
+  url: string;
+  weight: number;
+  status: EndpointStatus;
+  /** Smoothed request latency in milliseconds */
+  latencyMs?: number;
+  /** Smoothed share of failed requests, between 0 and 1 */
+  errorRate: number;
+  requests: number;
+  failures: number;
+  consecutiveFailures: number;
+  lastError?: string;
+  /** Chain id and block number reported by the last health check */
+  chainId?: string;
+  blockNumber?: number;
+  lastCheckedAt?: number;
+  /** Time until which a down endpoint is skipped */
+  downUntil?: number;
+}
+
+/**
+ * Result of probing an endpoint's `/status`
+ */
+export interface EndpointProbe {
+  chainId: string;
+  blockNumber: number;
+}
+
+/** Smoothing factor for latency and error-rate averages */
+const EWMA_ALPHA = 0.2;
+/** Requests needed before the error rate is trusted */
+const MIN_SAMPLES = 5;
+
+const STATUS_RANK: Record<EndpointStatus, number> = {
+  healthy: 0,
+  degraded: 1,
+  down: 2,
+  // Never selected; listed for completeness
+  inconsistent: 3,
+};
+
+/**
+ * Tracks the health of a list of RPC endpoints and picks which one to use
+ */
+export class EndpointPool {
+  private endpoints: EndpointHealth[];
+  private options: Required<Omit<FailoverOptions, 'healthCheckIntervalMs'>>;
+
+  constructor(endpoints: Array<string | RpcEndpointConfig>, options: FailoverOptions = {}) {
+    if (endpoints.length === 0) {
+      throw new ConfigurationError('At least one RPC endpoint is required');
+    }
+    this.endpoints = endpoints.map((endpoint) => {
+      const config = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+      return {
+        url: config.url,
+        weight: config.weight ?? 1,
+        status: 'healthy',
+        errorRate: 0,
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+      };
+    });
+    this.options = {
+      strategy: options.strategy ?? 'ordered',
+      maxConsecutiveFailures: options.maxConsecutiveFailures ?? 3,
+      cooldownMs: options.cooldownMs ?? 30000,
+      maxErrorRate: options.maxErrorRate ?? 0.5,
+      verifyConsistency: options.verifyConsistency ?? false,
+      maxBlockLag: options.maxBlockLag ?? 5,
+    };
+  }
+
+  /**
+   * Pick the next endpoint to try
+   * @param exclude - Endpoints already tried for the current request
+   * @returns Endpoint URL, or undefined when every usable endpoint was tried
+   */
+  select(exclude: Set<string> = new Set()): string | undefined {
+    const now = Date.now();
+    const candidates = this.endpoints.filter((endpoint) => {
+      if (exclude.has(endpoint.url) || endpoint.status === 'inconsistent') {
+        return false;
+      }
+      // A down endpoint gets another chance once its cooldown has expired
+      if (
+        endpoint.status === 'down' &&
+        endpoint.downUntil !== undefined &&
+        endpoint.downUntil <= now
+      ) {
+        endpoint.status = 'degraded';
+        endpoint.consecutiveFailures = 0;
+      }
+      return true;
+    });
+    if (candidates.length === 0) {
+      return undefined;
+    }
+
+    const bestRank = Math.min(...candidates.map((endpoint) => STATUS_RANK[endpoint.status]));
+    const best = candidates.filter((endpoint) => STATUS_RANK[endpoint.status] === bestRank);
+    if (this.options.strategy === 'ordered') {
+      return best[0].url;
+    }
+
+    const total = best.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+    let pick = Math.random() * total;
+    for (const endpoint of best) {
+      pick -= endpoint.weight;
+      if (pick < 0) {
+        return endpoint.url;
+      }
+    }
+    return best[best.length - 1].url;
+  }
+
+  /**
+   * Record a request the endpoint answered
+   * @param url - Endpoint URL
+   * @param latencyMs - Time the request took
+   */
+  recordSuccess(url: string, latencyMs: number): void {
+    const endpoint = this.find(url);
+    endpoint.requests += 1;
+    endpoint.consecutiveFailures = 0;
+    endpoint.latencyMs = average(endpoint.latencyMs, latencyMs);
+    endpoint.errorRate = average(endpoint.errorRate, 0);
+    if (endpoint.status !== 'inconsistent') {
+      endpoint.status = this.rateStatus(endpoint);
+    }
+  }
+
+  /**
+   * Record a request the endpoint failed to answer
+   * @param url - Endpoint URL
+   * @param error - Failure reason
+   */
+  recordFailure(url: string, error: unknown): void {
+    const endpoint = this.find(url);
+    endpoint.requests += 1;
+    endpoint.failures += 1;
+    endpoint.consecutiveFailures += 1;
+    endpoint.errorRate = average(endpoint.errorRate, 1);
+    endpoint.lastError = error instanceof Error ? error.message : String(error);
+    if (endpoint.status === 'inconsistent') {
+      return;
+    }
+    if (endpoint.consecutiveFailures >= this.options.maxConsecutiveFailures) {
+      endpoint.status = 'down';
+      endpoint.downUntil = Date.now() + this.options.cooldownMs;
+    } else {
+      endpoint.status = this.rateStatus(endpoint);
+    }
+  }
+
+  /**
+   * Probe every endpoint and mark those on the wrong chain, or lagging behind
+   * the highest reported block, as inconsistent
+   * @param probe - Fetches chain id and latest block from an endpoint
+   * @param expectedChainId - Chain id the client is configured for
+   * @returns Health of every endpoint after the check
+   */
+  async checkHealth(
+    probe: (url: string) => Promise<EndpointProbe>,
+    expectedChainId: string
+  ): Promise<EndpointHealth[]> {
+    const results = await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        const started = Date.now();
+        try {
+          const result = await probe(endpoint.url);
+          this.recordSuccess(endpoint.url, Date.now() - started);
+          return result;
+        } catch (error) {
+          this.recordFailure(endpoint.url, error);
+          return undefined;
+        }
+      })
+    );
+
+    const highest = Math.max(
+      ...results.map((result) => (result ? result.blockNumber : -Infinity))
+    );
+    this.endpoints.forEach((endpoint, index) => {
+      const result = results[index];
+      endpoint.lastCheckedAt = Date.now();
+      if (!result) {
+        return;
+      }
+      endpoint.chainId = result.chainId;
+      endpoint.blockNumber = result.blockNumber;
+      if (result.chainId !== expectedChainId) {
+        endpoint.status = 'inconsistent';
+        endpoint.lastError = `Endpoint is on chain ${result.chainId}, expected ${expectedChainId}`;
+      } else if (highest - result.blockNumber > this.options.maxBlockLag) {
+        endpoint.status = 'inconsistent';
+        endpoint.lastError = `Endpoint is ${highest - result.blockNumber} blocks behind`;
+      } else if (endpoint.status === 'inconsistent') {
+        endpoint.status = this.rateStatus(endpoint);
+      }
+    });
+
+    return this.getHealth();
+  }
+
+  /**
+   * Snapshot of every endpoint's health, in configured order
+   */
+  getHealth(): EndpointHealth[] {
+    return this.endpoints.map((endpoint) => ({ ...endpoint }));
+  }
+
+  private find(url: string): EndpointHealth {
+    const endpoint = this.endpoints.find((candidate) => candidate.url === url);
+    if (!endpoint) {
+      throw new ConfigurationError(`Unknown RPC endpoint: ${url}`);
+    }
+    return endpoint;
+  }
+
+  private rateStatus(endpoint: EndpointHealth): EndpointStatus {
+    return endpoint.requests >= MIN_SAMPLES && endpoint.errorRate > this.options.maxErrorRate
+      ? 'degraded'
+      : 'healthy';
+  }
+}
+
+function average(previous: number | undefined, sample: number): number {
+  return previous === undefined ? sample : previous + EWMA_ALPHA * (sample - previous);
+}
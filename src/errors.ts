@@ -0,0 +1,270 @@
+import axios from 'axios';
+import { AbiCoder, dataSlice, isHexString } from 'ethers';
+
+export interface AgefixErrorOptions {
+  /** SDK method that failed, e.g. `executeTransaction` */
+  method?: string;
+  /** Request id sent to the node in the `X-Request-Id` header */
+  requestId?: string;
+  /** Underlying error (axios error, signer error, ...) */
+  cause?: unknown;
+}
+
+export interface AgefixRpcErrorOptions extends AgefixErrorOptions {
+  /** HTTP status of the node response */
+  status?: number;
+  /** RPC error code reported by the node or the transport */
+  code?: string | number;
+  /** Raw response body */
+  data?: any;
+}
+
+/**
+ * Base class for every error thrown by the SDK
+ */
+export class AgefixError extends Error {
+  readonly method?: string;
+  readonly requestId?: string;
+  readonly cause?: unknown;
+
+  constructor(message: string, options: AgefixErrorOptions = {}) {
+    super(message);
+    this.name = 'AgefixError';
+    this.method = options.method;
+    this.requestId = options.requestId;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * Invalid client or helper configuration (missing signer, read-only client, ...)
+ */
+export class ConfigurationError extends AgefixError {
+  constructor(message: string, options: AgefixErrorOptions = {}) {
+    super(message, options);
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * The signer could not provide its address or a valid signature (wallet
+ * refused, signing service unreachable or answering for another key, ...)
+ */
+export class SignerError extends AgefixError {
+  constructor(message: string, options: AgefixErrorOptions = {}) {
+    super(message, options);
+    this.name = 'SignerError';
+  }
+}
+
+/**
+ * The RPC node rejected the request or could not be reached
+ */
+export class AgefixRpcError extends AgefixError {
+  readonly status?: number;
+  readonly code?: string | number;
+  readonly data?: any;
+
+  constructor(message: string, options: AgefixRpcErrorOptions = {}) {
+    super(message, options);
+    this.name = 'AgefixRpcError';
+    this.status = options.status;
+    this.code = options.code;
+    this.data = options.data;
+  }
+}
+
+/**
+ * The contract call reverted; `reason` holds the decoded revert message
+ */
+export class ContractRevertError extends AgefixRpcError {
+  readonly reason: string;
+
+  constructor(message: string, reason: string, options: AgefixRpcErrorOptions = {}) {
+    super(message, options);
+    this.name = 'ContractRevertError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * The sender cannot pay for the transaction value or gas
+ */
+export class InsufficientFundsError extends AgefixRpcError {
+  constructor(message: string, options: AgefixRpcErrorOptions = {}) {
+    super(message, options);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+/**
+ * The node rejected the transaction nonce (too low, too high or already used)
+ */
+export class NonceError extends AgefixRpcError {
+  constructor(message: string, options: AgefixRpcErrorOptions = {}) {
+    super(message, options);
+    this.name = 'NonceError';
+  }
+}
+
+/**
+ * The request to the node timed out
+ */
+export class NetworkTimeoutError extends AgefixError {
+  readonly timeout?: number;
+
+  constructor(message: string, options: AgefixErrorOptions & { timeout?: number } = {}) {
+    super(message, options);
+    this.name = 'NetworkTimeoutError';
+    this.timeout = options.timeout;
+  }
+}
+
+/**
+ * The transaction was not mined with enough confirmations in time
+ */
+export class TransactionTimeoutError extends AgefixError {
+  readonly txHash: string;
+
+  constructor(message: string, txHash: string, options: AgefixErrorOptions = {}) {
+    super(message, options);
+    this.name = 'TransactionTimeoutError';
+    this.txHash = txHash;
+  }
+}
+
+/**
+ * The node no longer knows the transaction (evicted from the pool or replaced)
+ */
+export class TransactionDroppedError extends AgefixError {
+  readonly txHash: string;
+
+  constructor(message: string, txHash: string, options: AgefixErrorOptions = {}) {
+    super(message, options);
+    this.name = 'TransactionDroppedError';
+    this.txHash = txHash;
+  }
+}
+
+/** Selector of the standard `Error(string)` revert payload */
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+const REVERT_PATTERN = /(?:execution )?revert(?:ed)?(?::\s*(.*))?/i;
+const INSUFFICIENT_FUNDS_PATTERN = /insufficient funds/i;
+const NONCE_PATTERN =
+  /nonce too (?:low|high)|invalid nonce|nonce (?:has )?already (?:been )?used|already known/i;
+const NONCE_ERROR_CODES = ['NONCE_EXPIRED', 'NONCE_TOO_LOW', 'NONCE_TOO_HIGH', 'INVALID_NONCE'];
+
+/**
+ * Decode a revert reason from ABI-encoded `Error(string)` data or a plain string
+ * @param data - Revert data returned by the node
+ * @returns Decoded reason, or undefined if the data cannot be decoded
+ */
+export function decodeRevertReason(data: unknown): string | undefined {
+  if (typeof data !== 'string' || data.length === 0) {
+    return undefined;
+  }
+  if (!isHexString(data)) {
+    return data;
+  }
+  if (data.slice(0, 10).toLowerCase() !== ERROR_STRING_SELECTOR) {
+    return undefined;
+  }
+  try {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(['string'], dataSlice(data, 4));
+    return reason as string;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Convert any failure into the matching SDK error class
+ * @param error - Caught error
+ * @param context - Failing method, request id and message prefix
+ * @returns Typed SDK error (returned unchanged if it already is one)
+ */
+export function toAgefixError(
+  error: unknown,
+  context: { method: string; requestId?: string; message: string }
+): AgefixError {
+  if (error instanceof AgefixError) {
+    return error;
+  }
+
+  const base = { method: context.method, requestId: context.requestId, cause: error };
+
+  if (!axios.isAxiosError(error)) {
+    const detail = error instanceof Error ? error.message : String(error);
+    return new AgefixError(`${context.message}: ${detail}`, base);
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new NetworkTimeoutError(`${context.message}: ${error.message}`, {
+      ...base,
+      timeout: error.config?.timeout,
+    });
+  }
+
+  return rpcErrorFromBody(error.response?.data, context, {
+    status: error.response?.status,
+    code: error.code,
+    detail: error.message,
+    cause: error,
+  });
+}
+
+/**
+ * Convert an error reported by the node in a response body (a whole
+ * response, or one item of a batch) into the matching SDK error class
+ * @param body - Body with an `error` field (string or `{ code, message, data, reason }`)
+ * or a `revertReason`
+ * @param context - Failing method, request id and message prefix
+ * @param transport - HTTP status, transport error code and message, and the
+ * original error
+ * @returns Typed SDK error
+ */
+export function rpcErrorFromBody(
+  body: any,
+  context: { method: string; requestId?: string; message: string },
+  transport: { status?: number; code?: string; detail?: string; cause?: unknown } = {}
+): AgefixRpcError {
+  const rpcError = body && typeof body === 'object' ? body.error : undefined;
+  const detail: string =
+    (typeof rpcError === 'string' ? rpcError : rpcError?.message) ??
+    transport.detail ??
+    'Unknown error';
+  const options: AgefixRpcErrorOptions = {
+    method: context.method,
+    requestId: context.requestId,
+    cause: transport.cause,
+    status: transport.status,
+    code: (rpcError && typeof rpcError === 'object' ? rpcError.code : undefined) ?? transport.code,
+    data: body,
+  };
+  const message = `${context.message}: ${detail}`;
+
+  const reason =
+    decodeRevertReason(rpcError?.reason) ??
+    (isHexString(rpcError?.data) ? decodeRevertReason(rpcError.data) : undefined) ??
+    decodeRevertReason(body?.revertReason);
+  const revertMatch = detail.match(REVERT_PATTERN);
+  if (reason !== undefined || revertMatch) {
+    const revertReason = reason ?? revertMatch?.[1] ?? '';
+    return new ContractRevertError(
+      revertReason && !detail.includes(revertReason) ? `${message} (${revertReason})` : message,
+      revertReason,
+      options
+    );
+  }
+
+  if (INSUFFICIENT_FUNDS_PATTERN.test(detail) || options.code === 'INSUFFICIENT_FUNDS') {
+    return new InsufficientFundsError(message, options);
+  }
+
+  if (NONCE_PATTERN.test(detail) || NONCE_ERROR_CODES.includes(String(options.code))) {
+    return new NonceError(message, options);
+  }
+
+  return new AgefixRpcError(message, options);
+}
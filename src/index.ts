@@ -1,21 +1,170 @@
-import axios, { AxiosInstance } from 'axios';
+import axios, { AxiosInstance, AxiosResponse } from 'axios';
+import {
+  ContractInterface,
+  DecodedEvent,
+  EventArgs,
+  groupEvents,
+  validateArguments,
+} from './abi';
+import {
+  BatchOptions,
+  BatchResult,
+  DEFAULT_MAX_BATCH_SIZE,
+  QueryBatcher,
+  QueryCall,
+} from './batch';
+import { CacheOptions, QueryCache } from './cache';
+import {
+  EndpointHealth,
+  EndpointPool,
+  EndpointProbe,
+  FailoverOptions,
+  RpcEndpointConfig,
+} from './endpoints';
+import {
+  AgefixError,
+  AgefixRpcError,
+  ConfigurationError,
+  ContractRevertError,
+  NonceError,
+  TransactionDroppedError,
+  TransactionTimeoutError,
+  decodeRevertReason,
+  rpcErrorFromBody,
+  toAgefixError,
+} from './errors';
+import { GetLogsOptions, LogFilter, LogRange, paginateLogs } from './logs';
+import { NonceManager } from './nonce';
+import {
+  Block,
+  BlockTag,
+  Log,
+  TransactionReceipt,
+  isMined,
+  normalizeBlock,
+  normalizeLog,
+  normalizeReceipt,
+  normalizeStatus,
+  toBigInt,
+} from './receipt';
+import { RetryPolicy, isRetryableError, resolveRetryPolicy, withRetry } from './retry';
+import { PrivateKeySigner, Signer } from './signer';
+import { LogSubscription, SubscriptionOptions } from './subscriptions';
+import { TemplateInfo, TemplateRegistry, sourceHash } from './templates';
+import {
+  FeeData,
+  SignedTransaction,
+  TransactionOverrides,
+  UnsignedTransaction,
+  canonicalJson,
+  toQuantity,
+} from './transaction';
+import { parseAgx } from './units';
+import { sleep } from './utils';
 
 export interface AgefixConfig {
-  rpcUrl: string;
+  /** RPC endpoint, or an ordered / weighted list of endpoints to fail over between */
+  rpcUrl: string | Array<string | RpcEndpointConfig>;
   chainId: string;
+  /** Raw private key; shorthand for `signer: new PrivateKeySigner(privateKey)` */
   privateKey?: string;
+  /** Signer used for transactions (private key, browser wallet, remote, ...) */
+  signer?: Signer;
+  /** Explicitly disable transactions; only queries are allowed */
+  readOnly?: boolean;
+  /** Make `queryContract` throw typed errors instead of returning `success: false` */
+  strictQueries?: boolean;
+  /** Timeout of a single request attempt in milliseconds (default 30000) */
+  timeout?: number;
+  /** Retry policy for failed requests, or `false` to disable retries */
+  retry?: Partial<RetryPolicy> | false;
+  /**
+   * Retry `/deploy` and `/execute` submissions (default true). A submission is
+   * only re-sent after every endpoint it was sent to, and the endpoint about
+   * to be tried, confirmed it does not know the signed transaction hash.
+   * Should a node still see it twice, the signed nonce rejects the copy.
+   */
+  retryWrites?: boolean;
+  /** Endpoint selection, health tracking and consistency checks */
+  failover?: FailoverOptions;
+  /**
+   * Assign nonces locally so concurrent transactions from one account do not
+   * collide (default true). When disabled, each transaction without an
+   * explicit `nonce` reads the account's next nonce with `getTransactionCount`.
+   */
+  manageNonces?: boolean;
+  /** Factor applied to gas estimates when a write sets no `gasLimit` (default 1.2) */
+  gasMultiplier?: number;
+  /**
+   * Merge `queryContract` calls made in the same tick into one `/query/batch`
+   * request (default true)
+   */
+  batchQueries?: boolean | BatchOptions;
+  /** Cache results of `queryContract` and `getBalance` (default off) */
+  cache?: boolean | CacheOptions;
+}
+
+export interface QueryOptions {
+  /** Throw on failure instead of returning `success: false` (defaults to `AgefixConfig.strictQueries`) */
+  strict?: boolean;
+  /** Block to read state at (default `'latest'`) */
+  blockTag?: BlockTag;
+}
+
+export interface WaitOptions {
+  /** Blocks that must include or follow the transaction's block (default 1) */
+  confirmations?: number;
+  /** Give up after this many milliseconds (default 120000) */
+  timeoutMs?: number;
+  /** Delay between receipt polls in milliseconds (default 2000) */
+  pollIntervalMs?: number;
+  /** Report the transaction as dropped once the node has not known it for this long (default 30000) */
+  droppedAfterMs?: number;
 }
 
 export interface ContractDeployment {
   contractAddress: string;
   transactionHash: string;
   blockNumber: number;
+  /** Template the contract was deployed from, for {@link AgefixClient.deployTemplate} */
+  template?: TemplateDeploymentInfo;
+  /** Wait until the deployment is mined; see {@link AgefixClient.waitForTransaction} */
+  wait(options?: number | WaitOptions): Promise<TransactionReceipt>;
+}
+
+/**
+ * Template a contract was deployed from
+ */
+export interface TemplateDeploymentInfo extends TemplateInfo {
+  /** Hash of the deployed source, after template parameters were filled in */
+  sourceHash: string;
+}
+
+export interface DeployTemplateOptions {
+  /** Values of the template's placeholder parameters */
+  parameters?: Record<string, any>;
+  /** Constructor arguments, validated against the template's constructor */
+  constructorArgs?: any[];
+  /** Gas, fee, nonce and value settings */
+  overrides?: TransactionOverrides;
+}
+
+/**
+ * Code deployed at an address
+ */
+export interface ContractCode {
+  /** Deployed AGXCL source, when the node reports it */
+  code?: string;
+  /** keccak256 of the deployed source; comparable with template hashes */
+  codeHash: string;
 }
 
 export interface QueryResult {
   success: boolean;
   data: any;
   error?: string;
+  /** Typed error describing the failure, when `success` is false */
+  cause?: AgefixError;
 }
 
 export interface TransactionResult {
@@ -23,6 +172,35 @@ export interface TransactionResult {
   blockNumber: number;
   gasUsed: number;
   success: boolean;
+  /** Decoded return value, when the node reports one that can be decoded */
+  returnValue?: any;
+  /** Decoded events, when the node reports logs with the submission that can be decoded */
+  events?: Record<string, EventArgs[]>;
+  /** Wait until the transaction is mined; see {@link AgefixClient.waitForTransaction} */
+  wait(options?: number | WaitOptions): Promise<TransactionReceipt>;
+}
+
+export interface SimulateOptions extends TransactionOverrides {
+  /** Sender to simulate with (default: the signer's address) */
+  from?: string;
+}
+
+/**
+ * Outcome of a simulated write; nothing is signed, sent or paid for
+ */
+export interface SimulationResult {
+  /** Whether the transaction would succeed */
+  success: boolean;
+  /** Decoded return value, when the transaction would succeed */
+  returnValue?: any;
+  /** Events the transaction would emit, decoded and grouped by name */
+  events: Record<string, EventArgs[]>;
+  logs: Log[];
+  gasUsed: bigint;
+  /** Decoded revert reason, when the transaction would revert */
+  revertReason?: string;
+  /** Typed revert error, when the transaction would revert */
+  error?: ContractRevertError;
 }
 
 /**
@@ -30,145 +208,754 @@ export interface TransactionResult {
  * Provides methods for deploying and interacting with AGXCL smart contracts
  */
 export class AgefixClient {
+  /** Per-account nonce tracking; use `nonces.set()` to pin the next nonce */
+  readonly nonces: NonceManager;
+  /** Query cache, when enabled through `AgefixConfig.cache` */
+  readonly cache?: QueryCache;
+  /** Templates available to {@link deployTemplate}; starts with the SDK's built-in templates */
+  readonly templates = new TemplateRegistry();
   private config: AgefixConfig;
   private http: AxiosInstance;
+  private signer?: Signer;
+  private retryPolicy: RetryPolicy;
+  private endpoints: EndpointPool;
+  private interfaces = new Map<string, ContractInterface>();
+  private endpointsVerified?: Promise<unknown>;
+  private healthCheckTimer?: ReturnType<typeof setInterval>;
+  private requestCounter = 0;
+  private batcher?: QueryBatcher;
+  private batchOptions: BatchOptions;
+  /** Endpoints that answered that they have no `/query/batch` */
+  private batchUnsupported = new Set<string>();
 
   constructor(config: AgefixConfig) {
+    if (config.signer && config.privateKey) {
+      throw new ConfigurationError('Provide either a signer or a private key, not both');
+    }
+    if (config.readOnly && (config.signer || config.privateKey)) {
+      throw new ConfigurationError('A read-only client cannot have a signer or private key');
+    }
+    if (config.gasMultiplier !== undefined) {
+      checkGasMultiplier(config.gasMultiplier);
+    }
+
     this.config = config;
+    this.signer =
+      config.signer ??
+      (config.privateKey ? new PrivateKeySigner(config.privateKey) : undefined);
+    this.retryPolicy = resolveRetryPolicy(config.retry);
+    this.nonces = new NonceManager((address) => this.getTransactionCount(address));
+    this.batchOptions = typeof config.batchQueries === 'object' ? config.batchQueries : {};
+    if (config.cache) {
+      this.cache = new QueryCache(
+        () => this.getBlockNumber(),
+        config.cache === true ? {} : config.cache
+      );
+    }
+    if (config.batchQueries !== false) {
+      this.batcher = new QueryBatcher(async (calls) => {
+        const requestId = this.nextRequestId();
+        try {
+          return await this.queryBatch(calls, requestId);
+        } catch (error) {
+          throw toAgefixError(error, {
+            method: 'queryContract',
+            requestId,
+            message: 'Contract query failed',
+          });
+        }
+      }, this.batchOptions);
+    }
+    this.endpoints = new EndpointPool(
+      Array.isArray(config.rpcUrl) ? config.rpcUrl : [config.rpcUrl],
+      config.failover
+    );
     this.http = axios.create({
-      baseURL: config.rpcUrl,
-      timeout: 30000,
+      timeout: config.timeout ?? 30000,
       headers: {
         'Content-Type': 'application/json',
       },
+      // Arguments may be bigints, which JSON.stringify rejects
+      transformRequest: [(data) => (data === undefined ? data : canonicalJson(data))],
     });
+
+    const interval = config.failover?.healthCheckIntervalMs;
+    if (interval) {
+      this.healthCheckTimer = setInterval(() => {
+        this.checkEndpoints().catch(() => undefined);
+      }, interval);
+      // Do not keep Node.js processes alive just for health checks
+      (this.healthCheckTimer as any).unref?.();
+    }
   }
 
   /**
    * Deploy a new AGXCL smart contract
    * @param contractCode - AGXCL contract source code
    * @param constructorArgs - Constructor arguments
+   * @param overrides - Gas, fee, nonce and value settings (optional)
    * @returns Deployment information including contract address
    */
   async deployContract(
     contractCode: string,
-    constructorArgs: any[] = []
+    constructorArgs: any[] = [],
+    overrides: TransactionOverrides = {}
   ): Promise<ContractDeployment> {
+    const signer = this.requireSigner('deployContract');
+    const requestId = this.nextRequestId();
+
     try {
-      const response = await this.http.post('/deploy', {
-        code: contractCode,
-        args: constructorArgs,
-        chainId: this.config.chainId,
-        privateKey: this.config.privateKey,
-      });
+      const { signed, data } = await this.sendTransaction(
+        signer,
+        '/deploy',
+        requestId,
+        { type: 'deploy', code: contractCode, args: constructorArgs },
+        overrides
+      );
 
+      const txHash: string = data.txHash ?? signed.hash;
+      const iface = interfaceFromSource(contractCode);
+      if (iface && data.contractAddress) {
+        this.registerInterface(data.contractAddress, iface);
+      }
       return {
-        contractAddress: response.data.contractAddress,
-        transactionHash: response.data.txHash,
-        blockNumber: response.data.blockNumber,
+        contractAddress: data.contractAddress,
+        transactionHash: txHash,
+        blockNumber: data.blockNumber,
+        wait: async (options) => {
+          const receipt = await this.waitForTransaction(txHash, options);
+          // The address may only be known once the deployment is mined
+          if (iface && receipt.contractAddress && !this.getInterface(receipt.contractAddress)) {
+            this.registerInterface(receipt.contractAddress, iface);
+            receipt.events = groupEvents(this.decodeLogs(receipt.logs));
+          }
+          return receipt;
+        },
       };
-    } catch (error: any) {
-      throw new Error(`Contract deployment failed: ${error.message}`);
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'deployContract',
+        requestId,
+        message: 'Contract deployment failed',
+      });
     }
   }
 
+  /**
+   * Deploy a contract from a registered template. The result reports the
+   * template id, version and hashes, so deployments can be traced back to
+   * the exact source.
+   * @param ref - Template reference, `id@version` or a bare id for the latest version
+   * @param options - Template parameters, constructor arguments and overrides
+   * @returns Contract deployment info, including `template`
+   * @throws {ConfigurationError} If the template is unknown or a parameter or
+   * constructor argument is invalid; nothing is sent in that case
+   */
+  async deployTemplate(
+    ref: string,
+    options: DeployTemplateOptions = {}
+  ): Promise<ContractDeployment> {
+    const { id, version, hash, template } = this.templates.get(ref);
+    const { parameters, constructorArgs = [], overrides } = options;
+    const code = template.render(parameters);
+    // Sections may change the constructor, so check against the rendering
+    validateArguments(
+      `${template.name} constructor`,
+      ContractInterface.fromSource(code).abi.constructorInputs,
+      constructorArgs
+    );
+
+    const deployment = await this.deployContract(code, constructorArgs, overrides);
+    deployment.template = { id, version, hash, sourceHash: sourceHash(code) };
+    return deployment;
+  }
+
   /**
    * Query contract state (read-only)
    * @param contractAddress - Address of deployed contract
    * @param method - Method name to call
    * @param args - Method arguments
+   * @param options - Query options
    * @returns Query result
+   * @throws {AgefixError} In strict mode, when the query fails
    */
   async queryContract(
     contractAddress: string,
     method: string,
-    args: any[] = []
+    args: any[] = [],
+    options: QueryOptions = {}
   ): Promise<QueryResult> {
+    const requestId = this.nextRequestId();
+
     try {
-      const response = await this.http.post('/query', {
-        contractAddress,
-        method,
-        args,
-        chainId: this.config.chainId,
-      });
+      const call = { contractAddress, method, args, blockTag: options.blockTag };
+      const load = async () => {
+        const item = this.batcher
+          ? await this.batcher.enqueue(call)
+          : (await this.queryBatch([call], requestId))[0];
+        if ('error' in item) {
+          throw item.error;
+        }
+        return item.result;
+      };
 
       return {
         success: true,
-        data: response.data.result,
+        data: this.cache
+          ? await this.cache.wrap(
+              ['query', contractAddress.toLowerCase(), method, args],
+              [contractAddress],
+              options.blockTag,
+              load
+            )
+          : await load(),
       };
-    } catch (error: any) {
+    } catch (error) {
+      const cause = toAgefixError(error, {
+        method: 'queryContract',
+        requestId,
+        message: 'Contract query failed',
+      });
+      if (options.strict ?? this.config.strictQueries) {
+        throw cause;
+      }
       return {
         success: false,
         data: null,
-        error: error.message,
+        error: cause.message,
+        cause,
       };
     }
   }
 
+  /**
+   * Run many contract queries in as few requests as possible
+   * (`POST /query/batch`, split into chunks of `maxBatchSize`)
+   * @param calls - Contract queries
+   * @returns One result per call, in order; a failed call is reported as
+   * `success: false` without affecting the others
+   * @throws {AgefixError} When the batch request itself fails
+   */
+  async multicall(calls: QueryCall[]): Promise<QueryResult[]> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const items = await this.queryBatch(calls, requestId);
+      return items.map((item) =>
+        'error' in item
+          ? { success: false, data: null, error: item.error.message, cause: item.error }
+          : { success: true, data: item.result }
+      );
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'multicall',
+        requestId,
+        message: 'Batch query failed',
+      });
+    }
+  }
+
   /**
    * Execute contract transaction (state-changing)
    * @param contractAddress - Address of deployed contract
    * @param method - Method name to call
    * @param args - Method arguments
-   * @param value - Amount of AGX tokens to send (optional)
+   * @param overrides - Gas, fee, nonce and value settings, or just the amount
+   * of AGX to send (optional)
    * @returns Transaction result
    */
   async executeTransaction(
     contractAddress: string,
     method: string,
     args: any[] = [],
-    value: string = '0'
+    overrides: TransactionOverrides | string = {}
   ): Promise<TransactionResult> {
-    if (!this.config.privateKey) {
-      throw new Error('Private key required for transactions');
+    const signer = this.requireSigner('executeTransaction');
+    const requestId = this.nextRequestId();
+
+    let submission: { signed: SignedTransaction; data: any };
+    try {
+      submission = await this.sendTransaction(
+        signer,
+        '/execute',
+        requestId,
+        { type: 'execute', to: contractAddress, method, args },
+        typeof overrides === 'string' ? { value: overrides } : overrides
+      );
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'executeTransaction',
+        requestId,
+        message: 'Transaction execution failed',
+      });
     }
 
+    // The node accepted the transaction, so nothing below may throw: a caller
+    // retrying on the error would send it twice
+    const { signed, data } = submission;
+    const txHash: string = data.txHash ?? signed.hash;
+    return {
+      txHash,
+      blockNumber: data.blockNumber,
+      gasUsed: data.gasUsed,
+      success: true,
+      ...this.decodeSubmission(contractAddress, method, data),
+      wait: (options) => this.waitForTransaction(txHash, options),
+    };
+  }
+
+  /**
+   * Simulate a contract transaction against the latest state without
+   * signing or sending it
+   * @param contractAddress - Address of deployed contract
+   * @param method - Method name to call
+   * @param args - Method arguments
+   * @param options - Sender, value and gas settings (optional)
+   * @returns Simulation result; a revert is reported as `success: false`
+   * with its reason instead of being thrown
+   * @throws {AgefixError} When the simulation itself fails
+   */
+  async simulateTransaction(
+    contractAddress: string,
+    method: string,
+    args: any[] = [],
+    options: SimulateOptions = {}
+  ): Promise<SimulationResult> {
+    const requestId = this.nextRequestId();
+
     try {
-      const response = await this.http.post('/execute', {
+      const from = options.from ?? (await this.signer?.getAddress());
+      const response = await this.send('post', '/simulate', requestId, {
         contractAddress,
         method,
         args,
-        value,
+        from,
+        value: toQuantity('value', options.value ?? 0),
+        gasLimit:
+          options.gasLimit !== undefined ? toQuantity('gasLimit', options.gasLimit) : undefined,
         chainId: this.config.chainId,
-        privateKey: this.config.privateKey,
       });
+      const data = response.data ?? {};
+      const logs: Log[] = (data.logs ?? []).map((log: any, index: number) =>
+        normalizeLog({ address: contractAddress, ...log }, index)
+      );
+      const result = {
+        events: groupEvents(this.decodeLogs(logs)),
+        logs,
+        gasUsed: toBigInt(data.gasUsed),
+      };
 
+      const reverted = data.success === false || normalizeStatus(data.status) === 'reverted';
+      if (reverted) {
+        const revertReason = decodeRevertReason(data.revertReason ?? data.error?.reason) ?? '';
+        return {
+          ...result,
+          success: false,
+          revertReason,
+          error: new ContractRevertError(
+            `Transaction would revert${revertReason ? `: ${revertReason}` : ''}`,
+            revertReason,
+            { method: 'simulateTransaction', requestId, data }
+          ),
+        };
+      }
       return {
-        txHash: response.data.txHash,
-        blockNumber: response.data.blockNumber,
-        gasUsed: response.data.gasUsed,
+        ...result,
         success: true,
+        returnValue: this.decodeReturnValue(contractAddress, method, data),
+      };
+    } catch (error) {
+      const cause = toAgefixError(error, {
+        method: 'simulateTransaction',
+        requestId,
+        message: 'Transaction simulation failed',
+      });
+      if (!(cause instanceof ContractRevertError)) {
+        throw cause;
+      }
+      return {
+        success: false,
+        events: {},
+        logs: [],
+        gasUsed: toBigInt(cause.data?.gasUsed),
+        revertReason: cause.reason,
+        error: cause,
+      };
+    }
+  }
+
+  /**
+   * Whether this client can only query and never sign
+   */
+  isReadOnly(): boolean {
+    return !this.signer;
+  }
+
+  /**
+   * Get the address transactions are sent from
+   * @returns Signer address
+   */
+  async getSignerAddress(): Promise<string> {
+    return this.requireSigner('getSignerAddress').getAddress();
+  }
+
+  /**
+   * Register the interface of a contract so its events are decoded in
+   * receipts and its return values in transaction results
+   * @param address - Contract address
+   * @param iface - Contract interface
+   */
+  registerInterface(address: string, iface: ContractInterface): void {
+    this.interfaces.set(address.toLowerCase(), iface);
+  }
+
+  /**
+   * Get the interface registered for a contract
+   * @param address - Contract address
+   */
+  getInterface(address: string): ContractInterface | undefined {
+    return this.interfaces.get(address.toLowerCase());
+  }
+
+  /**
+   * Decode logs emitted by contracts with a registered interface
+   * @param logs - Raw logs
+   * @returns Decoded events; logs of unknown contracts or events are skipped
+   */
+  decodeLogs(logs: Log[]): DecodedEvent[] {
+    const decoded: DecodedEvent[] = [];
+    for (const log of logs) {
+      const event = log.address && this.getInterface(log.address)?.decodeLog(log);
+      if (event) {
+        decoded.push(event);
+      }
+    }
+    return decoded;
+  }
+
+  /**
+   * Probe every RPC endpoint's chain id and latest block, and exclude those
+   * on the wrong chain or lagging behind the others
+   * @returns Health of every endpoint after the check
+   */
+  async checkEndpoints(): Promise<EndpointHealth[]> {
+    return this.endpoints.checkHealth(async (url): Promise<EndpointProbe> => {
+      const response = await this.http.get('/status', {
+        ...this.requestOptions(this.nextRequestId()),
+        baseURL: url,
+      });
+      return {
+        chainId: String(response.data.chainId),
+        blockNumber: Number(response.data.blockNumber),
       };
-    } catch (error: any) {
-      throw new Error(`Transaction execution failed: ${error.message}`);
+    }, this.config.chainId);
+  }
+
+  /**
+   * Current health of every RPC endpoint: status, latency, error rate and
+   * the chain id and block reported by the last health check
+   */
+  getEndpointHealth(): EndpointHealth[] {
+    return this.endpoints.getHealth();
+  }
+
+  /**
+   * Stop background work (periodic endpoint health checks)
+   */
+  close(): void {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = undefined;
     }
   }
 
   /**
    * Get transaction receipt
    * @param txHash - Transaction hash
-   * @returns Transaction receipt with status and logs
+   * @returns Transaction receipt with status, fee and logs, or null while the
+   * transaction is still pending or not yet known to the node
    */
-  async getTransactionReceipt(txHash: string): Promise<any> {
+  async getTransactionReceipt(txHash: string): Promise<TransactionReceipt | null> {
+    const requestId = this.nextRequestId();
+
     try {
-      const response = await this.http.get(`/tx/${txHash}`);
-      return response.data;
-    } catch (error: any) {
-      throw new Error(`Failed to get transaction receipt: ${error.message}`);
+      const record = await this.lookupTransaction(txHash, requestId);
+      return isMined(record) ? this.decodeReceipt(normalizeReceipt(record, txHash)) : null;
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'getTransactionReceipt',
+        requestId,
+        message: 'Failed to get transaction receipt',
+      });
+    }
+  }
+
+  /**
+   * Wait until a transaction is mined and has enough confirmations
+   * @param txHash - Transaction hash
+   * @param options - Confirmations, timeout and polling interval, or just the number of confirmations
+   * @returns Final transaction receipt
+   * @throws {ContractRevertError} If the transaction was mined but reverted
+   * @throws {TransactionDroppedError} If the node stopped knowing the transaction
+   * @throws {TransactionTimeoutError} If the transaction was not confirmed in time
+   */
+  async waitForTransaction(
+    txHash: string,
+    options: number | WaitOptions = {}
+  ): Promise<TransactionReceipt> {
+    const {
+      confirmations = 1,
+      timeoutMs = 120000,
+      pollIntervalMs = 2000,
+      droppedAfterMs = 30000,
+    } = typeof options === 'number' ? { confirmations: options } : options;
+    const started = Date.now();
+    let lastSeen = started;
+
+    for (;;) {
+      const requestId = this.nextRequestId();
+      let record: any;
+      try {
+        record = await this.lookupTransaction(txHash, requestId);
+      } catch (error) {
+        throw toAgefixError(error, {
+          method: 'waitForTransaction',
+          requestId,
+          message: 'Failed to wait for transaction',
+        });
+      }
+
+      const now = Date.now();
+      if (record) {
+        lastSeen = now;
+        if (isMined(record)) {
+          const receipt = this.decodeReceipt(normalizeReceipt(record, txHash));
+          if (receipt.status === 'reverted') {
+            const reason = receipt.revertReason ?? '';
+            throw new ContractRevertError(
+              `Transaction ${txHash} reverted${reason ? `: ${reason}` : ''}`,
+              reason,
+              { method: 'waitForTransaction', requestId, data: receipt }
+            );
+          }
+          const latest = confirmations > 1 ? await this.getBlockNumber() : receipt.blockNumber;
+          if (latest - receipt.blockNumber + 1 >= confirmations) {
+            return receipt;
+          }
+        }
+      } else if (now - lastSeen >= droppedAfterMs) {
+        throw new TransactionDroppedError(
+          `Transaction ${txHash} was dropped: unknown to the node for ${now - lastSeen}ms`,
+          txHash,
+          { method: 'waitForTransaction', requestId }
+        );
+      }
+
+      if (now - started >= timeoutMs) {
+        throw new TransactionTimeoutError(
+          `Transaction ${txHash} not confirmed within ${timeoutMs}ms`,
+          txHash,
+          { method: 'waitForTransaction', requestId }
+        );
+      }
+      await sleep(Math.min(pollIntervalMs, started + timeoutMs - now));
+    }
+  }
+
+  /**
+   * Get the latest block number
+   * @returns Latest block number reported by the node
+   */
+  async getBlockNumber(): Promise<number> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const response = await this.send('get', '/status', requestId);
+      const blockNumber = Number(response.data.blockNumber);
+      this.cache?.observeBlock(blockNumber);
+      return blockNumber;
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'getBlockNumber',
+        requestId,
+        message: 'Failed to get block number',
+      });
+    }
+  }
+
+  /**
+   * Get a block header
+   * @param blockNumber - Block number, or `'latest'`
+   * @returns Block number, hash and parent hash
+   */
+  async getBlock(blockNumber: number | 'latest'): Promise<Block> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const response = await this.send('get', `/block/${blockNumber}`, requestId);
+      return normalizeBlock(response.data);
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'getBlock',
+        requestId,
+        message: 'Failed to get block',
+      });
     }
   }
 
+  /**
+   * Fetch historical events of a contract as an async iterator. Large block
+   * ranges are split into chunks the node accepts, failed chunks are retried,
+   * and logs are decoded with the contract's event definitions.
+   * @param options - Contract, event, indexed-parameter filter and block range
+   * @returns Decoded events in block order; logs that do not match a known event are skipped
+   * @example
+   * for await (const { args } of client.getLogs({ address, event: 'Transfer', fromBlock })) {
+   *   balances[args.to] += args.value;
+   * }
+   */
+  async *getLogs(options: GetLogsOptions): AsyncGenerator<DecodedEvent> {
+    const iface = options.interface ?? this.getInterface(options.address);
+    if (!iface) {
+      throw new ConfigurationError(
+        `No interface registered for ${options.address}; pass options.interface`,
+        { method: 'getLogs' }
+      );
+    }
+    if (options.filter && !options.event) {
+      throw new ConfigurationError('options.filter requires options.event', { method: 'getLogs' });
+    }
+
+    const toBlock =
+      options.toBlock === undefined || options.toBlock === 'latest'
+        ? await this.getBlockNumber()
+        : options.toBlock;
+    const chunks = paginateLogs(
+      (range) => this.fetchLogs(range),
+      {
+        address: options.address,
+        topics: options.event ? iface.encodeEventTopics(options.event, options.filter) : undefined,
+        fromBlock: options.fromBlock ?? 0,
+        toBlock,
+      },
+      options.chunkSize
+    );
+
+    for await (const logs of chunks) {
+      for (const log of logs) {
+        const event = iface.decodeLog(log);
+        if (event && (!options.event || event.name === options.event)) {
+          yield event;
+        }
+      }
+    }
+  }
+
+  /**
+   * Subscribe to logs matching a filter as new blocks are mined. Logs rolled
+   * back by a chain reorganisation are reported through the `removed` event.
+   * @param filter - Contract address and topics to match
+   * @param options - Start block, polling interval and reorg window
+   * @returns Running subscription; call `unsubscribe()` to stop it
+   */
+  subscribeLogs(filter: LogFilter, options: SubscriptionOptions = {}): LogSubscription {
+    return new LogSubscription(
+      {
+        getBlockNumber: () => this.getBlockNumber(),
+        getBlock: (blockNumber) => this.getBlock(blockNumber),
+        getLogs: (range) => this.fetchLogs(range),
+      },
+      filter,
+      { decode: (log) => this.decodeLogs([log])[0] ?? null, ...options }
+    );
+  }
+
   /**
    * Get account balance
    * @param address - Account address
-   * @returns Balance in AGX tokens
+   * @param blockTag - Block to read the balance at (default `'latest'`)
+   * @returns Balance in the smallest AGX unit; format it with `formatAgx`
    */
-  async getBalance(address: string): Promise<string> {
+  async getBalance(address: string, blockTag?: BlockTag): Promise<bigint> {
+    const requestId = this.nextRequestId();
+
     try {
-      const response = await this.http.get(`/balance/${address}`);
-      return response.data.balance;
-    } catch (error: any) {
-      throw new Error(`Failed to get balance: ${error.message}`);
+      const load = async (): Promise<bigint> => {
+        const query = blockTag === undefined ? '' : `?blockTag=${blockTag}`;
+        const response = await this.send('get', `/balance/${address}${query}`, requestId);
+        // The node reports the balance in AGX, e.g. `'1.5'` or `'100'`
+        const balance = response.data?.balance;
+        try {
+          return parseAgx(balance);
+        } catch (error) {
+          throw new AgefixRpcError(
+            `Failed to get balance: node returned an invalid balance ${JSON.stringify(balance)}`,
+            {
+              method: 'getBalance',
+              requestId,
+              status: response.status,
+              data: response.data,
+              cause: error,
+            }
+          );
+        }
+      };
+      return this.cache
+        ? await this.cache.wrap(['balance', address.toLowerCase()], [address], blockTag, load)
+        : await load();
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'getBalance',
+        requestId,
+        message: 'Failed to get balance',
+      });
+    }
+  }
+
+  /**
+   * Get the next nonce of an account, counting its pending transactions
+   * @param address - Account address
+   * @returns Nonce the account's next transaction must use
+   */
+  async getTransactionCount(address: string): Promise<number> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const response = await this.send('get', `/nonce/${address}`, requestId);
+      return Number(response.data.nonce);
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'getTransactionCount',
+        requestId,
+        message: 'Failed to get transaction count',
+      });
+    }
+  }
+
+  /**
+   * Get the code deployed at an address
+   * @param address - Contract address
+   * @returns Deployed source and its hash, or null if no contract is deployed there
+   */
+  async getCode(address: string): Promise<ContractCode | null> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const response = await this.send('get', `/code/${address}`, requestId);
+      const { code, codeHash } = response.data ?? {};
+      if (code) {
+        return { code, codeHash: sourceHash(code) };
+      }
+      return codeHash ? { codeHash: String(codeHash).toLowerCase() } : null;
+    } catch (error) {
+      if (axios.isAxiosError(error) && error.response?.status === 404) {
+        return null;
+      }
+      throw toAgefixError(error, {
+        method: 'getCode',
+        requestId,
+        message: 'Failed to get contract code',
+      });
     }
   }
 
@@ -184,18 +971,630 @@ export class AgefixClient {
     method: string,
     args: any[] = []
   ): Promise<number> {
+    const requestId = this.nextRequestId();
+
     try {
-      const response = await this.http.post('/estimateGas', {
+      const response = await this.send('post', '/estimateGas', requestId, {
         contractAddress,
         method,
         args,
         chainId: this.config.chainId,
       });
       return response.data.gasEstimate;
-    } catch (error: any) {
-      throw new Error(`Failed to estimate gas: ${error.message}`);
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'estimateGas',
+        requestId,
+        message: 'Failed to estimate gas',
+      });
+    }
+  }
+
+  /**
+   * Get the node's current gas prices
+   * @returns Fee data; empty when the node does not report fees
+   */
+  async getFeeData(): Promise<FeeData> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const response = await this.send('get', '/fees', requestId);
+      const { maxFeePerGas, maxPriorityFeePerGas, gasPrice } = response.data;
+      return {
+        maxFeePerGas: maxFeePerGas != null ? toBigInt(maxFeePerGas) : undefined,
+        maxPriorityFeePerGas:
+          maxPriorityFeePerGas != null ? toBigInt(maxPriorityFeePerGas) : undefined,
+        gasPrice: gasPrice != null ? toBigInt(gasPrice) : undefined,
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error) && error.response?.status === 404) {
+        return {};
+      }
+      throw toAgefixError(error, {
+        method: 'getFeeData',
+        requestId,
+        message: 'Failed to get fee data',
+      });
+    }
+  }
+
+  /**
+   * Get the configured signer, or fail if the client is read-only
+   * @param method - Calling method, reported on the error
+   */
+  private requireSigner(method: string): Signer {
+    if (!this.signer) {
+      throw new ConfigurationError(
+        this.config.readOnly
+          ? 'Client is read-only; transactions are disabled'
+          : 'Signer or private key required for transactions',
+        { method }
+      );
+    }
+    return this.signer;
+  }
+
+  /**
+   * Fetch the logs matching a filter in a block range
+   */
+  private async fetchLogs(range: LogRange): Promise<Log[]> {
+    const requestId = this.nextRequestId();
+
+    try {
+      const response = await this.send('post', '/logs', requestId, {
+        ...range,
+        chainId: this.config.chainId,
+      });
+      return (response.data.logs ?? []).map((log: any, index: number) => normalizeLog(log, index));
+    } catch (error) {
+      throw toAgefixError(error, {
+        method: 'getLogs',
+        requestId,
+        message: 'Failed to get logs',
+      });
+    }
+  }
+
+  /**
+   * Attach decoded events to a receipt
+   */
+  private decodeReceipt(receipt: TransactionReceipt): TransactionReceipt {
+    receipt.events = groupEvents(this.decodeLogs(receipt.logs));
+    return receipt;
+  }
+
+  /**
+   * Decode the return value and events the node reported with an accepted
+   * submission. Either is left out when it cannot be decoded; the receipt
+   * from `wait()` still carries the logs.
+   */
+  private decodeSubmission(
+    contractAddress: string,
+    method: string,
+    data: any
+  ): Pick<TransactionResult, 'returnValue' | 'events'> {
+    const decoded: Pick<TransactionResult, 'returnValue' | 'events'> = {};
+    try {
+      decoded.returnValue = this.decodeReturnValue(contractAddress, method, data);
+    } catch {
+      // Malformed return data; the transaction itself was accepted
+    }
+    try {
+      if (Array.isArray(data.logs)) {
+        decoded.events = groupEvents(
+          this.decodeLogs(data.logs.map((log: any, index: number) => normalizeLog(log, index)))
+        );
+      }
+    } catch {
+      // Malformed logs; the transaction itself was accepted
+    }
+    return decoded;
+  }
+
+  /**
+   * Decode the return value reported with a submission: ABI-encoded
+   * `returnData` when the contract interface is known, or a plain `result`
+   */
+  private decodeReturnValue(contractAddress: string, method: string, data: any): any {
+    const iface = this.getInterface(contractAddress);
+    if (data.returnData && iface?.getFunction(method)) {
+      return iface.decodeFunctionResult(method, data.returnData);
+    }
+    return data.result;
+  }
+
+  /**
+   * Generate an id that ties an SDK error to the request in node logs
+   */
+  private nextRequestId(): string {
+    this.requestCounter += 1;
+    return `agx-${Date.now().toString(36)}-${this.requestCounter}`;
+  }
+
+  /**
+   * Per-request axios options carrying the request id
+   */
+  private requestOptions(requestId: string) {
+    return { headers: { 'X-Request-Id': requestId } };
+  }
+
+  /**
+   * Run one attempt of a request, failing over to the next endpoint while
+   * endpoints fail with a retryable error
+   * @param call - Performs the request against the given endpoint URL
+   * @param canFailover - Whether an error may be retried on another endpoint
+   * @param avoid - Endpoints to try only once no other one is left
+   */
+  private async dispatch<T>(
+    call: (baseURL: string) => Promise<T>,
+    canFailover: (error: unknown) => boolean = (error) =>
+      isRetryableError(error, this.retryPolicy),
+    avoid: Set<string> = new Set()
+  ): Promise<T> {
+    if (this.config.failover?.verifyConsistency) {
+      this.endpointsVerified ??= this.checkEndpoints();
+      await this.endpointsVerified;
     }
+
+    const tried = new Set<string>();
+    const next = () =>
+      this.endpoints.select(new Set([...tried, ...avoid])) ?? this.endpoints.select(tried);
+    let lastError: unknown;
+    for (let url = next(); url; url = next()) {
+      tried.add(url);
+      const started = Date.now();
+      try {
+        const result = await call(url);
+        this.endpoints.recordSuccess(url, Date.now() - started);
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryableError(error, this.retryPolicy)) {
+          // The endpoint answered; the request itself was rejected
+          this.endpoints.recordSuccess(url, Date.now() - started);
+          throw error;
+        }
+        this.endpoints.recordFailure(url, error);
+        if (!canFailover(error)) {
+          throw error;
+        }
+      }
+    }
+    if (tried.size === 0) {
+      throw new AgefixRpcError('No consistent RPC endpoint available');
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send a read request, failing over between endpoints and retrying
+   * transient failures per the retry policy
+   */
+  private async send(
+    verb: 'get' | 'post',
+    path: string,
+    requestId: string,
+    body?: any
+  ): Promise<AxiosResponse> {
+    const options = this.requestOptions(requestId);
+    return withRetry(
+      () =>
+        this.dispatch((baseURL) =>
+          verb === 'get'
+            ? this.http.get(path, { ...options, baseURL })
+            : this.http.post(path, body, { ...options, baseURL })
+        ),
+      this.retryPolicy
+    );
   }
+
+  /**
+   * Submit a signed transaction. Before every re-submission every endpoint
+   * that was sent the transaction is asked for its hash, as is the endpoint
+   * about to be tried: if one of them knows the transaction, that record is
+   * returned instead of submitting again. The transaction is only re-sent
+   * once all of them report it unknown. Once it has been sent, the next
+   * endpoint is only tried on a retry, after those lookups, so a failed
+   * lookup counts against the endpoint that was asked; retries prefer
+   * endpoints that have not been sent the transaction yet.
+   */
+  private async submit(
+    path: '/deploy' | '/execute',
+    signed: SignedTransaction,
+    requestId: string
+  ): Promise<any> {
+    const options = this.requestOptions(requestId);
+    const canRetry = (error: unknown) =>
+      this.config.retryWrites !== false && isRetryableError(error, this.retryPolicy);
+    // The first endpoint may have accepted the transaction and lost the response
+    const submittedTo = new Set<string>();
+
+    return withRetry(
+      async () => {
+        const known = await this.findSubmitted(signed.hash, submittedTo, requestId);
+        if (known) {
+          return { txHash: signed.hash, ...known };
+        }
+        return this.dispatch(
+          async (baseURL) => {
+            if (submittedTo.size > 0 && !submittedTo.has(baseURL)) {
+              const record = await this.findTransaction(signed.hash, requestId, baseURL);
+              if (record) {
+                return { txHash: signed.hash, ...record };
+              }
+            }
+            submittedTo.add(baseURL);
+            try {
+              const response = await this.http.post(path, {
+                signedTransaction: signed.serialized,
+                from: signed.from,
+              }, { ...options, baseURL });
+              return response.data;
+            } catch (error) {
+              if (axios.isAxiosError(error) && error.code === 'ECONNREFUSED') {
+                // Nothing reached the endpoint
+                submittedTo.delete(baseURL);
+              }
+              throw error;
+            }
+          },
+          // Fail over only before anything was sent; afterwards the retry looks it up first
+          (error) => submittedTo.size === 0 && canRetry(error),
+          submittedTo
+        );
+      },
+      this.retryPolicy,
+      canRetry
+    );
+  }
+
+  /**
+   * Look a submitted transaction up on each endpoint it was sent to. Every
+   * lookup is recorded in the health of the endpoint that was asked.
+   * @returns The first record found, or null if no endpoint knows the hash
+   * @throws The lookup error if an endpoint cannot be asked, since it may
+   * hold the transaction
+   */
+  private async findSubmitted(
+    txHash: string,
+    urls: Set<string>,
+    requestId: string
+  ): Promise<any | null> {
+    const records = await Promise.all(
+      [...urls].map(async (url) => {
+        const started = Date.now();
+        try {
+          const record = await this.findTransaction(txHash, requestId, url);
+          this.endpoints.recordSuccess(url, Date.now() - started);
+          return record;
+        } catch (error) {
+          if (isRetryableError(error, this.retryPolicy)) {
+            this.endpoints.recordFailure(url, error);
+          } else {
+            this.endpoints.recordSuccess(url, Date.now() - started);
+          }
+          throw error;
+        }
+      })
+    );
+    return records.find((record) => record) ?? null;
+  }
+
+  /**
+   * Run contract queries: one `/query` request for a single call, otherwise
+   * `/query/batch` requests of at most `maxBatchSize` calls. Nodes without a
+   * batch endpoint are queried call by call.
+   */
+  private async queryBatch(calls: QueryCall[], requestId: string): Promise<BatchResult[]> {
+    if (calls.length <= 1) {
+      return Promise.all(calls.map((call) => this.queryOne(call, requestId)));
+    }
+
+    const size = this.batchOptions.maxBatchSize ?? DEFAULT_MAX_BATCH_SIZE;
+    const chunks: QueryCall[][] = [];
+    for (let start = 0; start < calls.length; start += size) {
+      chunks.push(calls.slice(start, start + size));
+    }
+    const results = await Promise.all(chunks.map((chunk) => this.sendBatch(chunk, requestId)));
+    return results.flat();
+  }
+
+  /**
+   * Send one `/query/batch` request. An endpoint that answers 404, 405 or 501
+   * has no batch endpoint: it is remembered, and the calls are queried one by
+   * one instead, now and whenever the request lands on that endpoint again.
+   */
+  private async sendBatch(calls: QueryCall[], requestId: string): Promise<BatchResult[]> {
+    const body = {
+      calls: calls.map((call) => ({
+        contractAddress: call.contractAddress,
+        method: call.method,
+        args: call.args ?? [],
+        blockTag: call.blockTag,
+      })),
+      chainId: this.config.chainId,
+    };
+    const options = this.requestOptions(requestId);
+    const response = await withRetry(
+      () =>
+        this.dispatch(async (baseURL): Promise<AxiosResponse | null> => {
+          if (this.batchUnsupported.has(baseURL)) {
+            return null;
+          }
+          try {
+            return await this.http.post('/query/batch', body, { ...options, baseURL });
+          } catch (error) {
+            const status = axios.isAxiosError(error) ? error.response?.status : undefined;
+            if (status === 404 || status === 405 || status === 501) {
+              this.batchUnsupported.add(baseURL);
+              return null;
+            }
+            throw error;
+          }
+        }),
+      this.retryPolicy
+    );
+    if (!response) {
+      return Promise.all(calls.map((call) => this.queryOne(call, requestId)));
+    }
+
+    const results = response.data?.results;
+    if (!Array.isArray(results) || results.length !== calls.length) {
+      const count = Array.isArray(results) ? results.length : 'no';
+      throw new AgefixRpcError(
+        `Batch query failed: node returned ${count} results for ${calls.length} calls`,
+        { method: 'multicall', requestId, status: response.status, data: response.data }
+      );
+    }
+    return results.map((item) => this.toBatchResult(item, requestId, response.status));
+  }
+
+  private async queryOne(call: QueryCall, requestId: string): Promise<BatchResult> {
+    try {
+      const response = await this.send('post', '/query', requestId, {
+        contractAddress: call.contractAddress,
+        method: call.method,
+        args: call.args ?? [],
+        blockTag: call.blockTag,
+        chainId: this.config.chainId,
+      });
+      return this.toBatchResult(response.data, requestId, response.status);
+    } catch (error) {
+      return {
+        error: toAgefixError(error, {
+          method: 'queryContract',
+          requestId,
+          message: 'Contract query failed',
+        }),
+      };
+    }
+  }
+
+  /**
+   * Interpret the node's answer to one query: `{ result }` or `{ error }`
+   */
+  private toBatchResult(item: any, requestId: string, status?: number): BatchResult {
+    const message = 'Contract query failed';
+    if (item?.error !== undefined || item?.revertReason !== undefined) {
+      return {
+        error: rpcErrorFromBody(item, { method: 'queryContract', requestId, message }, { status }),
+      };
+    }
+    if (item?.result === undefined) {
+      return {
+        error: new AgefixRpcError(`${message}: node response did not include a result`, {
+          method: 'queryContract',
+          requestId,
+          status,
+          data: item,
+        }),
+      };
+    }
+    return { result: item.result };
+  }
+
+  /**
+   * Complete a transaction with the sender's nonce, gas limit and fees, sign
+   * it and submit it. A nonce from the nonce manager is confirmed once the
+   * node accepts the transaction; otherwise it is released for reuse, and
+   * after a nonce error the manager resyncs.
+   */
+  private async sendTransaction(
+    signer: Signer,
+    path: '/deploy' | '/execute',
+    requestId: string,
+    tx: Pick<UnsignedTransaction, 'type' | 'to' | 'code' | 'method' | 'args'>,
+    overrides: TransactionOverrides
+  ): Promise<{ signed: SignedTransaction; data: any }> {
+    const from = await signer.getAddress();
+    const populated = await this.populateTransaction(
+      {
+        ...tx,
+        chainId: this.config.chainId,
+        from,
+        value: toQuantity('value', overrides.value ?? 0),
+      },
+      overrides,
+      requestId
+    );
+    const managed = overrides.nonce === undefined && this.config.manageNonces !== false;
+    // Every transaction is signed with a nonce, so none can be replayed
+    const nonce = managed
+      ? await this.nonces.next(from)
+      : overrides.nonce ?? (await this.getTransactionCount(from));
+
+    try {
+      const signed = await signer.signTransaction({ ...populated, nonce });
+      const data = await this.submit(path, signed, requestId);
+      if (this.config.manageNonces !== false) {
+        this.nonces.confirm(from, nonce);
+      }
+      // Cached reads of the touched contract and the sender's balance are stale
+      for (const address of [from, tx.to, data?.contractAddress]) {
+        if (address) {
+          this.cache?.invalidate(address);
+        }
+      }
+      return { signed, data };
+    } catch (error) {
+      if (managed) {
+        this.nonces.release(from, nonce);
+        const failure = toAgefixError(error, { method: 'sendTransaction', requestId, message: '' });
+        if (failure instanceof NonceError) {
+          // Another process may have used the account; best effort, the
+          // original error is what the caller needs to see
+          await this.nonces.sync(from).catch(() => undefined);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fill in the gas limit and fee caps the overrides leave out: the gas limit
+   * from `/estimateGas` scaled by the gas multiplier, the fee caps from the
+   * node's fee data
+   */
+  private async populateTransaction(
+    tx: Omit<UnsignedTransaction, 'nonce'>,
+    overrides: TransactionOverrides,
+    requestId: string
+  ): Promise<Omit<UnsignedTransaction, 'nonce'>> {
+    const multiplier = checkGasMultiplier(
+      overrides.gasMultiplier ?? this.config.gasMultiplier ?? 1.2
+    );
+    const { nonce } = overrides;
+    if (nonce !== undefined && (!Number.isSafeInteger(nonce) || nonce < 0)) {
+      throw new ConfigurationError(`Invalid nonce: ${nonce}`);
+    }
+
+    const estimateGas = async (): Promise<string> => {
+      const response = await this.send('post', '/estimateGas', requestId, {
+        contractAddress: tx.to,
+        method: tx.method,
+        code: tx.code,
+        args: tx.args,
+        from: tx.from,
+        value: tx.value,
+        chainId: tx.chainId,
+      });
+      // Scale in thousandths: through a float, large estimates would lose precision
+      const estimate = toBigInt(response.data.gasEstimate);
+      const factor = BigInt(Math.round(multiplier * 1000));
+      return ((estimate * factor + 999n) / 1000n).toString();
+    };
+    const needsFees =
+      overrides.maxFeePerGas === undefined || overrides.maxPriorityFeePerGas === undefined;
+    const [gasLimit, fees] = await Promise.all([
+      overrides.gasLimit !== undefined ? toQuantity('gasLimit', overrides.gasLimit) : estimateGas(),
+      needsFees ? this.getFeeData() : ({} as FeeData),
+    ]);
+
+    const maxFeePerGas =
+      overrides.maxFeePerGas !== undefined
+        ? BigInt(toQuantity('maxFeePerGas', overrides.maxFeePerGas))
+        : fees.maxFeePerGas ?? fees.gasPrice;
+    let maxPriorityFeePerGas =
+      overrides.maxPriorityFeePerGas !== undefined
+        ? BigInt(toQuantity('maxPriorityFeePerGas', overrides.maxPriorityFeePerGas))
+        : fees.maxPriorityFeePerGas;
+    if (
+      maxFeePerGas !== undefined &&
+      maxPriorityFeePerGas !== undefined &&
+      maxPriorityFeePerGas > maxFeePerGas
+    ) {
+      if (overrides.maxPriorityFeePerGas !== undefined) {
+        throw new ConfigurationError('maxPriorityFeePerGas must not exceed maxFeePerGas');
+      }
+      // The node's suggested tip does not fit under the caller's fee cap
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
+
+    return {
+      ...tx,
+      gasLimit,
+      maxFeePerGas: maxFeePerGas?.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas?.toString(),
+    };
+  }
+
+  /**
+   * Look up a transaction by hash on any endpoint, with retries
+   * @returns The node's record, or null if the node does not know the hash
+   */
+  private async lookupTransaction(txHash: string, requestId: string): Promise<any | null> {
+    try {
+      const response = await this.send('get', `/tx/${txHash}`, requestId);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error) && error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a transaction by hash on one endpoint
+   * @returns The node's record, or null if the node does not know the hash
+   */
+  private async findTransaction(
+    txHash: string,
+    requestId: string,
+    baseURL: string
+  ): Promise<any | null> {
+    try {
+      const response = await this.http.get(`/tx/${txHash}`, {
+        ...this.requestOptions(requestId),
+        baseURL,
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error) && error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Parse the interface of contract source, or undefined if it cannot be parsed
+ */
+function interfaceFromSource(source: string): ContractInterface | undefined {
+  try {
+    return ContractInterface.fromSource(source);
+  } catch {
+    // Event decoding is optional; deployment must not fail because of it
+    return undefined;
+  }
+}
+
+/**
+ * Check a gas multiplier from the config or a write's overrides
+ * @throws ConfigurationError if it is not a finite number of at least 1
+ */
+function checkGasMultiplier(multiplier: number): number {
+  if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 1) {
+    throw new ConfigurationError(`Invalid gasMultiplier: ${multiplier}; must be at least 1`);
+  }
+  return multiplier;
 }
 
+export * from './abi';
+export * from './batch';
+export * from './cache';
+export * from './contracts';
+export * from './endpoints';
+export * from './errors';
+export * from './logs';
+export * from './nonce';
+export * from './receipt';
+export * from './retry';
+export * from './signer';
+export * from './subscriptions';
+export * from './templates';
+export * from './transaction';
+export * from './units';
+
 export default AgefixClient;
@@ -0,0 +1,94 @@
+import type { ContractInterface, EventArgs } from './abi';
+import type { Log } from './receipt';
+
+/**
+ * Selects logs by emitting contract and topics
+ */
+export interface LogFilter {
+  /** Contract address, or any of several addresses */
+  address?: string | string[];
+  /**
+   * Topic filter by position: a topic, any of several topics, or null for
+   * any value. Position 0 is the event topic.
+   */
+  topics?: Array<string | string[] | null>;
+}
+
+/**
+ * Log filter over an inclusive block range
+ */
+export interface LogRange extends LogFilter {
+  fromBlock: number;
+  toBlock: number;
+}
+
+/**
+ * Options of {@link AgefixClient.getLogs}
+ */
+export interface GetLogsOptions {
+  /** Contract address */
+  address: string;
+  /** Event name; all events of the contract when omitted */
+  event?: string;
+  /** Values of indexed event parameters to match (requires `event`) */
+  filter?: EventArgs;
+  /** First block (default 0) */
+  fromBlock?: number;
+  /** Last block (default: latest block when the query starts) */
+  toBlock?: number | 'latest';
+  /** Blocks per request; halved automatically when the node rejects a range (default 2000) */
+  chunkSize?: number;
+  /** Interface used for decoding (default: the one registered for `address`) */
+  interface?: ContractInterface;
+}
+
+/** Default number of blocks requested per `/logs` call */
+export const DEFAULT_LOG_CHUNK_SIZE = 2000;
+
+const RANGE_LIMIT_PATTERN =
+  /block range|range too (large|wide|big)|too many (logs|results|blocks)|limit exceeded|query returned more than/i;
+
+/**
+ * Whether the node rejected a log query because the block range was too large
+ * @param error - Error thrown by the log fetcher
+ */
+export function isRangeLimitError(error: unknown): boolean {
+  if (!(error instanceof Error)) {
+    return false;
+  }
+  return (error as any).status === 413 || RANGE_LIMIT_PATTERN.test(error.message);
+}
+
+/**
+ * Fetch the logs of a block range in chunks, in block order. A chunk the node
+ * rejects as too large is split in half and retried, and the smaller chunk
+ * size is kept for the rest of the range.
+ * @param fetchLogs - Fetches the logs of one chunk
+ * @param range - Filter and inclusive block range
+ * @param chunkSize - Initial number of blocks per request
+ * @returns Logs of each chunk, one array per request
+ */
+export async function* paginateLogs(
+  fetchLogs: (range: LogRange) => Promise<Log[]>,
+  range: LogRange,
+  chunkSize: number = DEFAULT_LOG_CHUNK_SIZE
+): AsyncGenerator<Log[]> {
+  let size = Math.max(1, Math.floor(chunkSize));
+  let from = range.fromBlock;
+
+  while (from <= range.toBlock) {
+    const to = Math.min(from + size - 1, range.toBlock);
+    let logs: Log[];
+    try {
+      logs = await fetchLogs({ ...range, fromBlock: from, toBlock: to });
+    } catch (error) {
+      if (isRangeLimitError(error) && size > 1) {
+        size = Math.max(1, Math.floor(size / 2));
+        continue;
+      }
+      throw error;
+    }
+    yield [...logs].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    from = to + 1;
+  }
+}
@@ -0,0 +1,152 @@
+import { NonceManager } from './nonce';
+
+const ACCOUNT = '0x' + 'aa'.repeat(20);
+
+/**
+ * Stand-in for the node's `/nonce/:address`
+ */
+function mockNode(nonce: number) {
+  const node = {
+    nonce,
+    fetches: 0,
+    fetchNonce: async () => {
+      node.fetches += 1;
+      return node.nonce;
+    },
+  };
+  return node;
+}
+
+describe('NonceManager', () => {
+  it('fetches the first nonce once and counts locally after that', async () => {
+    const node = mockNode(7);
+    const nonces = new NonceManager(node.fetchNonce);
+
+    const assigned = await Promise.all([
+      nonces.next(ACCOUNT),
+      nonces.next(ACCOUNT),
+      nonces.next(ACCOUNT),
+    ]);
+
+    expect(assigned).toEqual([7, 8, 9]);
+    expect(node.fetches).toBe(1);
+  });
+
+  it('tracks accounts independently of address case', async () => {
+    const nonces = new NonceManager(mockNode(0).fetchNonce);
+
+    await nonces.next(ACCOUNT);
+
+    expect(await nonces.next(ACCOUNT.toUpperCase().replace('0X', '0x'))).toBe(1);
+  });
+
+  it('reuses the last nonce when its submission fails', async () => {
+    const nonces = new NonceManager(mockNode(3).fetchNonce);
+    const nonce = await nonces.next(ACCOUNT);
+
+    nonces.release(ACCOUNT, nonce);
+
+    expect(await nonces.next(ACCOUNT)).toBe(3);
+    expect(nonces.getGaps(ACCOUNT)).toEqual([]);
+  });
+
+  it('records an earlier failed nonce as a gap and fills it first', async () => {
+    const nonces = new NonceManager(mockNode(0).fetchNonce);
+    const [first, second, third] = await Promise.all([
+      nonces.next(ACCOUNT),
+      nonces.next(ACCOUNT),
+      nonces.next(ACCOUNT),
+    ]);
+    nonces.confirm(ACCOUNT, first);
+    nonces.release(ACCOUNT, second);
+    nonces.confirm(ACCOUNT, third);
+
+    expect(nonces.getGaps(ACCOUNT)).toEqual([1]);
+    expect(await nonces.next(ACCOUNT)).toBe(1);
+    expect(await nonces.next(ACCOUNT)).toBe(3);
+    expect(nonces.getGaps(ACCOUNT)).toEqual([]);
+  });
+
+  it('does not turn a confirmed nonce into a gap', async () => {
+    const nonces = new NonceManager(mockNode(0).fetchNonce);
+    const nonce = await nonces.next(ACCOUNT);
+    await nonces.next(ACCOUNT);
+    nonces.confirm(ACCOUNT, nonce);
+
+    nonces.release(ACCOUNT, nonce);
+
+    expect(nonces.getGaps(ACCOUNT)).toEqual([]);
+  });
+
+  it('resyncs forward when transactions were sent from elsewhere', async () => {
+    const node = mockNode(0);
+    const nonces = new NonceManager(node.fetchNonce);
+    nonces.confirm(ACCOUNT, await nonces.next(ACCOUNT));
+
+    node.nonce = 5;
+    expect(await nonces.sync(ACCOUNT)).toBe(5);
+
+    expect(await nonces.next(ACCOUNT)).toBe(5);
+    expect(nonces.getGaps(ACCOUNT)).toEqual([]);
+  });
+
+  it('records nonces the node dropped as gaps on resync', async () => {
+    const node = mockNode(0);
+    const nonces = new NonceManager(node.fetchNonce);
+    const assigned = await Promise.all([0, 1, 2, 3].map(() => nonces.next(ACCOUNT)));
+    assigned.slice(0, 3).forEach((nonce) => nonces.confirm(ACCOUNT, nonce));
+    // Nonce 3 is still being submitted; 1 and 2 fell out of the node's pool
+
+    node.nonce = 1;
+    await nonces.sync(ACCOUNT);
+
+    expect(nonces.getGaps(ACCOUNT)).toEqual([1, 2]);
+    expect(await nonces.next(ACCOUNT)).toBe(1);
+    expect(await nonces.next(ACCOUNT)).toBe(2);
+    expect(await nonces.next(ACCOUNT)).toBe(4);
+  });
+
+  it('never hands out a nonce that is still outstanding after a forward resync', async () => {
+    const node = mockNode(0);
+    const nonces = new NonceManager(node.fetchNonce);
+    await nonces.next(ACCOUNT);
+    const pending = await nonces.next(ACCOUNT);
+
+    node.nonce = 1;
+    await nonces.sync(ACCOUNT);
+
+    expect(await nonces.next(ACCOUNT)).toBe(pending + 1);
+  });
+
+  it('shares one fetch between concurrent syncs', async () => {
+    const node = mockNode(2);
+    const nonces = new NonceManager(node.fetchNonce);
+
+    await Promise.all([nonces.sync(ACCOUNT), nonces.sync(ACCOUNT), nonces.next(ACCOUNT)]);
+
+    expect(node.fetches).toBe(1);
+  });
+
+  it('pins the next nonce and drops gaps above it', async () => {
+    const nonces = new NonceManager(mockNode(0).fetchNonce);
+    const assigned = await Promise.all([0, 1, 2].map(() => nonces.next(ACCOUNT)));
+    nonces.release(ACCOUNT, assigned[1]);
+
+    nonces.set(ACCOUNT, 1);
+
+    expect(nonces.getGaps(ACCOUNT)).toEqual([]);
+    expect(await nonces.next(ACCOUNT)).toBe(1);
+  });
+
+  it('fetches from the node again after a reset', async () => {
+    const node = mockNode(4);
+    const nonces = new NonceManager(node.fetchNonce);
+    await nonces.next(ACCOUNT);
+
+    nonces.reset(ACCOUNT);
+    node.nonce = 9;
+
+    expect(await nonces.next(ACCOUNT)).toBe(9);
+    expect(node.fetches).toBe(2);
+  });
+});
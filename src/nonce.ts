@@ -0,0 +1,183 @@
+/**
+ * Nonce bookkeeping of a single account
+ */
+interface AccountNonces {
+  /** Next nonce to hand out, once synced */
+  next?: number;
+  /** In-flight fetch of the node's nonce */
+  syncing?: Promise<number>;
+  /** Nonces handed out whose submission has not finished */
+  outstanding: Set<number>;
+  /** Nonces whose submission the node accepted */
+  confirmed: Set<number>;
+  /** Nonces below `next` that no accepted transaction uses */
+  gaps: Set<number>;
+}
+
+/**
+ * Hands out sequential nonces per account, so concurrent transactions from
+ * one key do not collide.
+ *
+ * The first nonce of an account is fetched from the node; later ones are
+ * counted locally. A nonce whose submission failed becomes a gap and is
+ * reused by the next transaction, and after nonce errors the manager resyncs
+ * with the node.
+ */
+export class NonceManager {
+  private fetchNonce: (address: string) => Promise<number>;
+  private accounts = new Map<string, AccountNonces>();
+
+  /**
+   * @param fetchNonce - Returns the node's next nonce for an account,
+   * including pending transactions
+   */
+  constructor(fetchNonce: (address: string) => Promise<number>) {
+    this.fetchNonce = fetchNonce;
+  }
+
+  /**
+   * Reserve the next nonce for an account. Gaps left by failed submissions
+   * are filled first.
+   * @param address - Sender address
+   */
+  async next(address: string): Promise<number> {
+    const account = this.account(address);
+    if (account.next === undefined) {
+      await this.sync(address);
+    }
+
+    let nonce: number;
+    if (account.gaps.size > 0) {
+      nonce = Math.min(...account.gaps);
+      account.gaps.delete(nonce);
+    } else {
+      nonce = account.next!;
+      account.next = nonce + 1;
+    }
+    account.outstanding.add(nonce);
+    return nonce;
+  }
+
+  /**
+   * Record that the node accepted the transaction using a nonce
+   * @param address - Sender address
+   * @param nonce - Nonce of the accepted transaction
+   */
+  confirm(address: string, nonce: number): void {
+    const account = this.account(address);
+    account.outstanding.delete(nonce);
+    account.gaps.delete(nonce);
+    account.confirmed.add(nonce);
+    if (account.next !== undefined && nonce >= account.next) {
+      account.next = nonce + 1;
+    }
+
+    // Accepted nonces below every unsettled one can no longer become gaps
+    const floor = Math.min(account.next ?? nonce, ...account.outstanding, ...account.gaps);
+    for (const settled of account.confirmed) {
+      if (settled < floor) {
+        account.confirmed.delete(settled);
+      }
+    }
+  }
+
+  /**
+   * Give a nonce back after its transaction was not accepted. The last nonce
+   * handed out is simply reused; an earlier one is recorded as a gap. Only
+   * nonces still being submitted can be released.
+   * @param address - Sender address
+   * @param nonce - Nonce of the failed transaction
+   */
+  release(address: string, nonce: number): void {
+    const account = this.account(address);
+    // A confirmed nonce may already be forgotten, and must never become a gap
+    if (!account.outstanding.delete(nonce) || account.next === undefined) {
+      return;
+    }
+    if (nonce === account.next - 1) {
+      account.next = nonce;
+    } else if (nonce < account.next) {
+      account.gaps.add(nonce);
+    }
+  }
+
+  /**
+   * Pin the next nonce of an account, e.g. to replace a stuck transaction
+   * @param address - Sender address
+   * @param nonce - Nonce the next transaction will use
+   */
+  set(address: string, nonce: number): void {
+    const account = this.account(address);
+    account.next = nonce;
+    for (const gap of account.gaps) {
+      if (gap >= nonce) {
+        account.gaps.delete(gap);
+      }
+    }
+  }
+
+  /**
+   * Re-read the account's nonce from the node. Nonces below the node's value
+   * are settled; unused nonces between the node's value and the local counter
+   * are recorded as gaps.
+   * @param address - Sender address
+   * @returns The node's next nonce
+   */
+  async sync(address: string): Promise<number> {
+    const account = this.account(address);
+    account.syncing ??= this.fetchNonce(address).finally(() => {
+      account.syncing = undefined;
+    });
+    const nodeNonce = await account.syncing;
+
+    if (account.next === undefined || nodeNonce >= account.next) {
+      // First sync, or transactions were sent from elsewhere
+      account.next = Math.max(nodeNonce, ...[...account.outstanding].map((n) => n + 1));
+      account.gaps.clear();
+    } else {
+      for (let nonce = nodeNonce; nonce < account.next; nonce++) {
+        if (!account.outstanding.has(nonce) && !account.confirmed.has(nonce)) {
+          account.gaps.add(nonce);
+        }
+      }
+    }
+    for (const nonce of [...account.confirmed, ...account.gaps]) {
+      if (nonce < nodeNonce) {
+        account.confirmed.delete(nonce);
+        account.gaps.delete(nonce);
+      }
+    }
+    return nodeNonce;
+  }
+
+  /**
+   * Nonces below the local counter that no accepted transaction uses.
+   * Later transactions of the account stay pending until these are filled.
+   * @param address - Sender address
+   */
+  getGaps(address: string): number[] {
+    return [...this.account(address).gaps].sort((a, b) => a - b);
+  }
+
+  /**
+   * Forget local state, so the next nonce is fetched from the node again
+   * @param address - Sender address (all accounts when omitted)
+   */
+  reset(address?: string): void {
+    if (address === undefined) {
+      this.accounts.clear();
+    } else {
+      this.accounts.delete(address.toLowerCase());
+    }
+  }
+
+  private account(address: string): AccountNonces {
+    const key = address.toLowerCase();
+    let account = this.accounts.get(key);
+    if (!account) {
+      account = { outstanding: new Set(), confirmed: new Set(), gaps: new Set() };
+      this.accounts.set(key, account);
+    }
+    return account;
+  }
+}
@@ -0,0 +1,175 @@
+import { formatUnits } from 'ethers';
+import type { EventArgs } from './abi';
+import { decodeRevertReason } from './errors';
+
+/** Decimals of the native AGX token */
+export const AGX_DECIMALS = 18;
+
+export type TransactionStatus = 'success' | 'reverted';
+
+/** Block to read state at: a block number, or the latest block */
+export type BlockTag = number | 'latest';
+
+/**
+ * Raw event log emitted by a contract
+ */
+export interface Log {
+  address: string;
+  topics: string[];
+  data: string;
+  blockNumber: number;
+  blockHash?: string;
+  transactionHash: string;
+  logIndex: number;
+  /** True when the log was rolled back by a chain reorganisation */
+  removed?: boolean;
+}
+
+/**
+ * Block header
+ */
+export interface Block {
+  number: number;
+  hash: string;
+  parentHash?: string;
+  timestamp?: number;
+}
+
+/**
+ * Receipt of a mined transaction, normalised from the node response
+ */
+export interface TransactionReceipt {
+  transactionHash: string;
+  status: TransactionStatus;
+  blockNumber: number;
+  blockHash: string;
+  from?: string;
+  to?: string;
+  /** Address of the created contract, for deployments */
+  contractAddress?: string;
+  gasUsed: bigint;
+  /** Price paid per unit of gas, in the smallest AGX unit */
+  effectiveGasPrice: bigint;
+  /** Total fee (`gasUsed * effectiveGasPrice`) in the smallest AGX unit */
+  fee: bigint;
+  /** Total fee formatted in AGX, e.g. `"0.000021"` */
+  feeAgx: string;
+  /** Decoded revert reason, for reverted transactions */
+  revertReason?: string;
+  logs: Log[];
+  /** Events decoded with registered contract interfaces, grouped by name */
+  events: Record<string, EventArgs[]>;
+}
+
+/**
+ * Convert a number, decimal string or hex string to bigint
+ * @param value - Value from a node response
+ * @param fallback - Returned when the value is missing
+ */
+export function toBigInt(value: unknown, fallback: bigint = 0n): bigint {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return BigInt(Math.trunc(value));
+  }
+  return BigInt(String(value));
+}
+
+/**
+ * Whether a node transaction record describes a mined transaction rather
+ * than one still waiting in the pool
+ * @param raw - Record returned by `GET /tx/:hash`
+ */
+export function isMined(raw: any): boolean {
+  return (
+    raw !== null &&
+    raw !== undefined &&
+    raw.status !== 'pending' &&
+    raw.blockNumber !== undefined &&
+    raw.blockNumber !== null
+  );
+}
+
+/**
+ * Normalise the status field, which nodes report as a string, number, hex
+ * string or boolean
+ * @param status - Status of a receipt or simulation as reported by the node
+ * @returns `'reverted'` for every failure spelling, otherwise `'success'`
+ */
+export function normalizeStatus(status: unknown): TransactionStatus {
+  return [false, 0, '0', '0x0', 'reverted', 'failed'].includes(status as any)
+    ? 'reverted'
+    : 'success';
+}
+
+/**
+ * Normalise a block header from the node
+ * @param raw - Block as returned by `GET /block/:number`
+ */
+export function normalizeBlock(raw: any): Block {
+  return {
+    number: Number(toBigInt(raw.number ?? raw.blockNumber)),
+    hash: raw.hash ?? raw.blockHash,
+    parentHash: raw.parentHash ?? undefined,
+    timestamp: raw.timestamp !== undefined ? Number(toBigInt(raw.timestamp)) : undefined,
+  };
+}
+
+/**
+ * Normalise a raw log from the node
+ * @param raw - Log as returned by the node
+ * @param index - Position in the receipt, used when the node omits `logIndex`
+ */
+export function normalizeLog(raw: any, index: number = 0): Log {
+  return {
+    address: raw.address,
+    topics: raw.topics ?? [],
+    data: raw.data ?? '0x',
+    blockNumber: Number(toBigInt(raw.blockNumber)),
+    blockHash: raw.blockHash,
+    transactionHash: raw.transactionHash ?? raw.txHash,
+    logIndex: Number(toBigInt(raw.logIndex, BigInt(index))),
+    removed: raw.removed === true ? true : undefined,
+  };
+}
+
+/**
+ * Normalise a mined transaction record into a {@link TransactionReceipt}
+ * @param raw - Record returned by `GET /tx/:hash`
+ * @param txHash - Hash that was looked up, used when the record omits it
+ * @returns Typed receipt
+ */
+export function normalizeReceipt(raw: any, txHash?: string): TransactionReceipt {
+  const gasUsed = toBigInt(raw.gasUsed);
+  const effectiveGasPrice = toBigInt(raw.effectiveGasPrice ?? raw.gasPrice);
+  const fee = raw.fee !== undefined ? toBigInt(raw.fee) : gasUsed * effectiveGasPrice;
+  const status = normalizeStatus(raw.status);
+  const transactionHash: string = raw.transactionHash ?? raw.txHash ?? raw.hash ?? txHash;
+
+  return {
+    transactionHash,
+    status,
+    blockNumber: Number(toBigInt(raw.blockNumber)),
+    blockHash: raw.blockHash,
+    from: raw.from ?? undefined,
+    to: raw.to ?? undefined,
+    contractAddress: raw.contractAddress ?? undefined,
+    gasUsed,
+    effectiveGasPrice,
+    fee,
+    feeAgx: formatUnits(fee, AGX_DECIMALS),
+    revertReason:
+      status === 'reverted' ? decodeRevertReason(raw.revertReason) ?? '' : undefined,
+    logs: (raw.logs ?? []).map((log: any, index: number) =>
+      normalizeLog(
+        { transactionHash, blockNumber: raw.blockNumber, blockHash: raw.blockHash, ...log },
+        index
+      )
+    ),
+    events: {},
+  };
+}
@@ -0,0 +1,133 @@
+import axios from 'axios';
+import { sleep } from './utils';
+
+/**
+ * Controls how failed requests to the RPC node are retried
+ */
+export interface RetryPolicy {
+  /** Total number of attempts, including the first one */
+  maxAttempts: number;
+  /** Delay before the first retry; doubled on every further retry */
+  baseDelayMs: number;
+  /** Upper bound for a single delay, including `Retry-After` */
+  maxDelayMs: number;
+  /** Randomise delays ("full jitter") so parallel clients do not retry in lockstep */
+  jitter: boolean;
+  /** HTTP status codes that are worth retrying */
+  retryableStatusCodes: number[];
+  /** Wait for the node's `Retry-After` header when it sends one */
+  respectRetryAfter: boolean;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 10000,
+  jitter: true,
+  retryableStatusCodes: [408, 425, 429, 500, 502, 503, 504],
+  respectRetryAfter: true,
+};
+
+/** Transport failures where the request may simply be retried */
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+  'ERR_NETWORK',
+];
+
+/**
+ * Merge user settings with the defaults
+ * @param policy - Partial policy, or `false` to disable retries
+ * @returns Complete retry policy
+ */
+export function resolveRetryPolicy(policy?: Partial<RetryPolicy> | false): RetryPolicy {
+  if (policy === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  return { ...DEFAULT_RETRY_POLICY, ...policy };
+}
+
+/**
+ * Whether a failed request is worth retrying under the given policy
+ * @param error - Error thrown by axios
+ * @param policy - Retry policy
+ */
+export function isRetryableError(error: unknown, policy: RetryPolicy): boolean {
+  if (!axios.isAxiosError(error)) {
+    return false;
+  }
+  if (error.response) {
+    return policy.retryableStatusCodes.includes(error.response.status);
+  }
+  return error.code !== undefined && RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Parse a `Retry-After` header (delay in seconds or an HTTP date)
+ * @param error - Error thrown by axios
+ * @returns Delay in milliseconds, or undefined if the header is absent or invalid
+ */
+export function retryAfterMs(error: unknown): number | undefined {
+  if (!axios.isAxiosError(error) || !error.response) {
+    return undefined;
+  }
+  const header = error.response.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') {
+    return undefined;
+  }
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(String(header));
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param attempt - Attempt that just failed (1-based)
+ * @param policy - Retry policy
+ * @param error - Error of the failed attempt
+ * @returns Delay in milliseconds
+ */
+export function retryDelay(attempt: number, policy: RetryPolicy, error?: unknown): number {
+  if (policy.respectRetryAfter) {
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== undefined) {
+      return Math.min(retryAfter, policy.maxDelayMs);
+    }
+  }
+  const backoff = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return policy.jitter ? Math.random() * backoff : backoff;
+}
+
+/**
+ * Run an operation, retrying it with exponential backoff while it fails
+ * with a retryable error
+ * @param operation - Operation to run; receives the 1-based attempt number
+ * @param policy - Retry policy
+ * @param shouldRetry - Extra check run before each retry (defaults to {@link isRetryableError})
+ * @returns Result of the first successful attempt
+ */
+export async function withRetry<T>(
+  operation: (attempt: number) => Promise<T>,
+  policy: RetryPolicy,
+  shouldRetry: (error: unknown, attempt: number) => boolean = (error) =>
+    isRetryableError(error, policy)
+): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !shouldRetry(error, attempt)) {
+        throw error;
+      }
+      await sleep(retryDelay(attempt, policy, error));
+    }
+  }
+}
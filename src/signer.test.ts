@@ -0,0 +1,119 @@
+import { AddressInfo } from 'net';
+import { IncomingMessage, ServerResponse, createServer } from 'http';
+import { Wallet, getBytes } from 'ethers';
+import { SignerError } from './errors';
+import { PrivateKeySigner, RemoteSigner } from './signer';
+import { UnsignedTransaction, transactionDigest } from './transaction';
+
+const key = Wallet.createRandom();
+const otherKey = Wallet.createRandom();
+
+const tx: UnsignedTransaction = {
+  type: 'execute',
+  chainId: 'agefix-test',
+  from: key.address,
+  to: '0x' + 'aa'.repeat(20),
+  method: 'transfer',
+  args: ['0x' + 'bb'.repeat(20), '100'],
+  value: '0',
+  nonce: 3,
+};
+
+type Reply = (body: any) => SignerReply | Promise<SignerReply>;
+
+interface SignerReply {
+  status?: number;
+  body: unknown;
+}
+
+/**
+ * Local stand-in for a remote signing service: `GET /address` answers with
+ * the test key, `POST /sign` with whatever the current reply returns
+ */
+async function startSigningService() {
+  let reply: Reply = () => ({ body: {} });
+  const requests: Array<{ path?: string; body: any }> = [];
+  const server = createServer((req: IncomingMessage, res: ServerResponse) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', async () => {
+      const request = { path: req.url, body: raw ? JSON.parse(raw) : undefined };
+      requests.push(request);
+      const { status, body } =
+        request.path === '/address'
+          ? { body: { address: key.address } }
+          : await reply(request.body);
+      res.writeHead(status ?? 200, { 'Content-Type': 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  return {
+    server,
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    setReply(next: Reply) {
+      reply = next;
+    },
+  };
+}
+
+describe('RemoteSigner', () => {
+  let service: Awaited<ReturnType<typeof startSigningService>>;
+
+  beforeAll(async () => {
+    service = await startSigningService();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => service.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    service.requests.length = 0;
+  });
+
+  it('returns the transaction signed by the service', async () => {
+    service.setReply(async ({ digest }) => ({
+      body: { signature: await key.signMessage(getBytes(digest)) },
+    }));
+    const signer = new RemoteSigner({ url: service.url });
+
+    const signed = await signer.signTransaction(tx);
+
+    expect(signed).toEqual(await new PrivateKeySigner(key.privateKey).signTransaction(tx));
+    const sign = service.requests.find((request) => request.path === '/sign');
+    expect(sign?.body.digest).toBe(transactionDigest(tx));
+  });
+
+  it('rejects a signature made by a different key', async () => {
+    service.setReply(async ({ digest }) => ({
+      body: { signature: await otherKey.signMessage(getBytes(digest)) },
+    }));
+    const signer = new RemoteSigner({ url: service.url });
+
+    const failure = signer.signTransaction(tx);
+    await expect(failure).rejects.toThrow(/different address/);
+    await expect(failure).rejects.toBeInstanceOf(SignerError);
+  });
+
+  it('fails when the service answers with an error status', async () => {
+    service.setReply(() => ({ status: 503, body: { error: 'HSM offline' } }));
+    const signer = new RemoteSigner({ url: service.url });
+
+    const failure = signer.signTransaction(tx);
+    await expect(failure).rejects.toThrow(/503/);
+    await expect(failure).rejects.toBeInstanceOf(SignerError);
+  });
+
+  it('rejects a body without a valid signature', async () => {
+    const signer = new RemoteSigner({ url: service.url });
+
+    for (const body of [{}, { signature: '0x1234' }, { signature: 42 }, 'not json']) {
+      service.setReply(() => ({ body }));
+      await expect(signer.signTransaction(tx)).rejects.toThrow(SignerError);
+      await expect(signer.signTransaction(tx)).rejects.toThrow(/no valid signature/);
+    }
+  });
+});
@@ -0,0 +1,183 @@
+import axios, { AxiosInstance } from 'axios';
+import { Wallet, getBytes, isAddress, isHexString, verifyMessage } from 'ethers';
+import { SignerError } from './errors';
+import {
+  SignedTransaction,
+  UnsignedTransaction,
+  canonicalJson,
+  serializeSignedTransaction,
+  signTransaction,
+  transactionDigest,
+} from './transaction';
+
+/**
+ * Signs transactions on behalf of an account.
+ * Implementations decide where the key lives; the client only ever sees
+ * the sender address and the signed, serialized transaction.
+ */
+export interface Signer {
+  /**
+   * Address of the signing account
+   */
+  getAddress(): Promise<string>;
+
+  /**
+   * Sign a transaction built by the client
+   * @param tx - Unsigned transaction
+   * @returns Signed, serialized transaction and its hash
+   */
+  signTransaction(tx: UnsignedTransaction): Promise<SignedTransaction>;
+}
+
+/**
+ * Minimal EIP-1193 provider, as injected by browser wallets
+ */
+export interface Eip1193Provider {
+  request(args: { method: string; params?: any[] }): Promise<any>;
+}
+
+export interface RemoteSignerConfig {
+  url: string;
+  headers?: Record<string, string>;
+  timeout?: number;
+}
+
+/**
+ * Signer backed by a raw private key held in memory
+ */
+export class PrivateKeySigner implements Signer {
+  private wallet: Wallet;
+
+  constructor(privateKey: string) {
+    this.wallet = new Wallet(privateKey);
+  }
+
+  async getAddress(): Promise<string> {
+    return this.wallet.address;
+  }
+
+  async signTransaction(tx: UnsignedTransaction): Promise<SignedTransaction> {
+    return signTransaction(tx, this.wallet);
+  }
+}
+
+/**
+ * Signer that delegates to a browser wallet through an EIP-1193 provider.
+ * The transaction digest is signed with `personal_sign`, which produces the
+ * same signature as {@link PrivateKeySigner} for the same key.
+ */
+export class BrowserWalletSigner implements Signer {
+  private provider: Eip1193Provider;
+  private address?: string;
+
+  /**
+   * @param provider - EIP-1193 provider, e.g. `window.ethereum`
+   * @param address - Account to use (defaults to the first connected account)
+   */
+  constructor(provider: Eip1193Provider, address?: string) {
+    this.provider = provider;
+    this.address = address;
+  }
+
+  async getAddress(): Promise<string> {
+    if (!this.address) {
+      const accounts: string[] = await this.request('eth_requestAccounts');
+      if (!accounts || accounts.length === 0) {
+        throw new SignerError('Browser wallet returned no accounts');
+      }
+      this.address = accounts[0];
+    }
+    return this.address;
+  }
+
+  async signTransaction(tx: UnsignedTransaction): Promise<SignedTransaction> {
+    const address = await this.getAddress();
+    const signature: string = await this.request('personal_sign', [
+      transactionDigest(tx),
+      address,
+    ]);
+    return serializeSignedTransaction(tx, signature);
+  }
+
+  /**
+   * Send a request to the wallet, reporting a refusal as a {@link SignerError}
+   */
+  private async request(method: string, params?: any[]): Promise<any> {
+    try {
+      return await this.provider.request({ method, params });
+    } catch (error) {
+      const detail = error instanceof Error ? error.message : String(error);
+      throw new SignerError(`Browser wallet ${method} failed: ${detail}`, { cause: error });
+    }
+  }
+}
+
+/**
+ * Signer that asks a remote HTTP service (KMS proxy, HSM gateway, ...) to
+ * sign the transaction digest.
+ *
+ * The service must implement:
+ * - `GET /address` returning `{ address }`
+ * - `POST /sign` with `{ digest, transaction }` returning `{ signature }`,
+ *   where `transaction` is the canonical JSON the digest was computed from
+ */
+export class RemoteSigner implements Signer {
+  private http: AxiosInstance;
+  private address?: string;
+
+  constructor(config: RemoteSignerConfig) {
+    this.http = axios.create({
+      baseURL: config.url,
+      timeout: config.timeout ?? 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...config.headers,
+      },
+    });
+  }
+
+  async getAddress(): Promise<string> {
+    if (!this.address) {
+      const data = await this.request('get', '/address');
+      const address = data?.address;
+      if (typeof address !== 'string' || !isAddress(address)) {
+        throw new SignerError('Remote signer returned no valid address');
+      }
+      this.address = address;
+    }
+    return this.address;
+  }
+
+  async signTransaction(tx: UnsignedTransaction): Promise<SignedTransaction> {
+    const address = await this.getAddress();
+    const digest = transactionDigest(tx);
+    const data = await this.request('post', '/sign', {
+      digest,
+      transaction: canonicalJson(tx),
+    });
+    const signature = data?.signature;
+    if (typeof signature !== 'string' || !isHexString(signature, 65)) {
+      throw new SignerError('Remote signer returned no valid signature');
+    }
+
+    // Never forward a signature the remote service produced for another key
+    if (verifyMessage(getBytes(digest), signature).toLowerCase() !== address.toLowerCase()) {
+      throw new SignerError('Remote signer returned a signature for a different address');
+    }
+    return serializeSignedTransaction(tx, signature);
+  }
+
+  /**
+   * Call the signing service, reporting transport failures and error
+   * statuses as a {@link SignerError}
+   */
+  private async request(method: 'get' | 'post', path: string, body?: unknown): Promise<any> {
+    try {
+      const response = await this.http.request({ method, url: path, data: body });
+      return response.data;
+    } catch (error) {
+      const detail = error instanceof Error ? error.message : String(error);
+      throw new SignerError(`Remote signer ${path} request failed: ${detail}`, { cause: error });
+    }
+  }
+}
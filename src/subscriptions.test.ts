@@ -0,0 +1,203 @@
+import type { LogRange } from './logs';
+import type { Block, Log } from './receipt';
+import { LogSource, LogSubscription } from './subscriptions';
+
+const ADDRESS = '0x' + 'aa'.repeat(20);
+
+/**
+ * In-memory chain: blocks with hashes and logs, with reorgs and outages on demand
+ */
+class MockChain implements LogSource {
+  blocks: Array<{ hash: string; logs: Log[] }> = [];
+  down = false;
+  private forks = 0;
+
+  constructor(length: number) {
+    for (let number = 0; number <= length; number++) {
+      this.blocks.push({ hash: `0x${number}`, logs: [] });
+    }
+  }
+
+  /** Mine a block holding one log per transaction hash */
+  mine(...txHashes: string[]): number {
+    const number = this.blocks.length;
+    const hash = `0x${number}${'f'.repeat(this.forks)}`;
+    this.blocks.push({
+      hash,
+      logs: txHashes.map((transactionHash, logIndex) => ({
+        address: ADDRESS,
+        topics: [],
+        data: '0x',
+        blockNumber: number,
+        blockHash: hash,
+        transactionHash,
+        logIndex,
+      })),
+    });
+    return number;
+  }
+
+  /** Drop every block above `ancestor`, so the next ones mined form a new branch */
+  reorg(ancestor: number): void {
+    this.blocks.length = ancestor + 1;
+    this.forks += 1;
+  }
+
+  async getBlockNumber(): Promise<number> {
+    this.checkUp();
+    return this.blocks.length - 1;
+  }
+
+  async getBlock(blockNumber: number): Promise<Block> {
+    this.checkUp();
+    return { number: blockNumber, hash: this.blocks[blockNumber].hash };
+  }
+
+  async getLogs(range: LogRange): Promise<Log[]> {
+    this.checkUp();
+    return this.blocks.slice(range.fromBlock, range.toBlock + 1).flatMap((block) => block.logs);
+  }
+
+  private checkUp(): void {
+    if (this.down) {
+      throw new Error('connect ECONNREFUSED');
+    }
+  }
+}
+
+function subscribe(chain: MockChain, fromBlock?: number) {
+  const subscription = new LogSubscription(chain, { address: ADDRESS }, { fromBlock });
+  const received: string[] = [];
+  const removed: string[] = [];
+  const errors: Error[] = [];
+  subscription.on('log', (log) => received.push(log.transactionHash));
+  subscription.on('removed', (log) => removed.push(log.transactionHash));
+  subscription.on('error', (error) => errors.push(error));
+  return { subscription, received, removed, errors };
+}
+
+describe('LogSubscription', () => {
+  let active: LogSubscription[] = [];
+
+  beforeEach(() => {
+    // Polls are driven by the tests, not by the timer
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    active.forEach((subscription) => subscription.unsubscribe());
+    active = [];
+    jest.useRealTimers();
+  });
+
+  function start(chain: MockChain, fromBlock?: number) {
+    const result = subscribe(chain, fromBlock);
+    active.push(result.subscription);
+    return result;
+  }
+
+  it('delivers only logs mined after it starts by default', async () => {
+    const chain = new MockChain(5);
+    chain.mine('0xold');
+    const { subscription, received } = start(chain);
+
+    await subscription.poll();
+    chain.mine('0xa', '0xb');
+    await subscription.poll();
+
+    expect(received).toEqual(['0xa', '0xb']);
+    expect(subscription.lastBlock).toBe(7);
+  });
+
+  it('delivers logs from fromBlock', async () => {
+    const chain = new MockChain(5);
+    chain.mine('0xa');
+    chain.mine('0xb');
+    const { subscription, received } = start(chain, 7);
+
+    await subscription.poll();
+
+    expect(received).toEqual(['0xb']);
+  });
+
+  it('re-emits logs of abandoned blocks as removed after a reorg', async () => {
+    const chain = new MockChain(5);
+    const { subscription, received, removed } = start(chain);
+    await subscription.poll();
+    chain.mine('0xa');
+    chain.mine('0xb', '0xc');
+    await subscription.poll();
+
+    chain.reorg(6);
+    chain.mine('0xd');
+    chain.mine();
+    await subscription.poll();
+
+    expect(removed).toEqual(['0xc', '0xb']);
+    expect(received).toEqual(['0xa', '0xb', '0xc', '0xd']);
+    expect(subscription.lastBlock).toBe(8);
+  });
+
+  it('flags removed logs', async () => {
+    const chain = new MockChain(5);
+    const { subscription } = start(chain);
+    const removed: Log[] = [];
+    subscription.on('removed', (log) => removed.push(log));
+    await subscription.poll();
+    chain.mine('0xa');
+    await subscription.poll();
+
+    chain.reorg(5);
+    chain.mine();
+    await subscription.poll();
+
+    expect(removed).toHaveLength(1);
+    expect(removed[0]).toMatchObject({ transactionHash: '0xa', removed: true });
+  });
+
+  it('resumes from the last processed block after a failed poll', async () => {
+    const chain = new MockChain(5);
+    const { subscription, received, errors } = start(chain);
+    await subscription.poll();
+    chain.mine('0xa');
+    await subscription.poll();
+
+    chain.down = true;
+    chain.mine('0xb');
+    chain.mine('0xc');
+    await subscription.poll();
+    expect(errors).toHaveLength(1);
+    expect(subscription.lastError?.message).toMatch(/poll failed/);
+    expect(subscription.lastBlock).toBe(6);
+
+    chain.down = false;
+    await subscription.poll();
+    expect(received).toEqual(['0xa', '0xb', '0xc']);
+    expect(subscription.lastError).toBeUndefined();
+  });
+
+  it('keeps the poll error without an error listener', async () => {
+    const chain = new MockChain(5);
+    const subscription = new LogSubscription(chain, { address: ADDRESS });
+    active.push(subscription);
+    chain.down = true;
+
+    await expect(subscription.poll()).resolves.toBeUndefined();
+    expect(subscription.lastError?.message).toMatch(/ECONNREFUSED/);
+  });
+
+  it('keeps delivering when a listener throws', async () => {
+    const chain = new MockChain(5);
+    const { subscription, received, errors } = start(chain);
+    subscription.on('log', () => {
+      throw new Error('handler bug');
+    });
+    await subscription.poll();
+    chain.mine('0xa');
+    await subscription.poll();
+
+    expect(received).toEqual(['0xa']);
+    expect(errors.map((error) => error.message)).toEqual([expect.stringMatching(/handler bug/)]);
+    expect(subscription.lastBlock).toBe(6);
+  });
+});
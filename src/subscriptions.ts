@@ -0,0 +1,267 @@
+import type { DecodedEvent } from './abi';
+import { AgefixError, toAgefixError } from './errors';
+import type { LogFilter, LogRange } from './logs';
+import type { Block, Log } from './receipt';
+
+/**
+ * Chain access needed by a subscription. {@link AgefixClient} provides one
+ * backed by its RPC endpoints; tests can provide a mock node.
+ */
+export interface LogSource {
+  getBlockNumber(): Promise<number>;
+  getBlock(blockNumber: number): Promise<Block>;
+  getLogs(range: LogRange): Promise<Log[]>;
+}
+
+export interface SubscriptionOptions {
+  /** First block to deliver logs from (default: only logs in blocks after the subscription starts) */
+  fromBlock?: number;
+  /** Delay between polls in milliseconds (default 4000) */
+  pollIntervalMs?: number;
+  /** Number of recent blocks tracked for reorg detection (default 12) */
+  reorgDepth?: number;
+  /** Decoder applied to every log before it is delivered */
+  decode?: (log: Log) => DecodedEvent | null;
+}
+
+export interface SubscriptionListeners {
+  /** A new log matched the filter */
+  log: (log: Log, event: DecodedEvent | null) => void;
+  /** A previously delivered log was rolled back by a chain reorganisation */
+  removed: (log: Log, event: DecodedEvent | null) => void;
+  /**
+   * Polling or a listener failed; the subscription keeps running and resumes
+   * from the last processed block. Without an `error` listener, poll errors
+   * are only kept in {@link LogSubscription.lastError} and listener errors
+   * are dropped.
+   */
+  error: (error: AgefixError) => void;
+}
+
+type ListenerMap = { [K in keyof SubscriptionListeners]: Set<SubscriptionListeners[K]> };
+
+/**
+ * Live log subscription driven by polling.
+ *
+ * Each poll fetches the logs of the blocks mined since the last processed
+ * block. The hashes of recent blocks are remembered; when the node reports a
+ * different hash for one of them, the chain was reorganised, so logs from the
+ * abandoned blocks are re-emitted as `removed` and the new blocks are fetched.
+ * After a failed poll the next one resumes from the last processed block, so
+ * no logs are skipped across disconnects.
+ *
+ * Failures never reject or throw: they are emitted as `error` and kept in
+ * {@link lastError}. Attach an `error` listener, or check `lastError`, to
+ * notice a subscription that keeps failing, e.g. against an unreachable node.
+ */
+export class LogSubscription {
+  private source: LogSource;
+  private filter: LogFilter;
+  private options: Required<Omit<SubscriptionOptions, 'fromBlock' | 'decode'>> &
+    Pick<SubscriptionOptions, 'fromBlock' | 'decode'>;
+  private listeners: ListenerMap = { log: new Set(), removed: new Set(), error: new Set() };
+  private processedBlock?: number;
+  private blockHashes = new Map<number, string>();
+  private delivered = new Map<number, Log[]>();
+  private timer?: ReturnType<typeof setTimeout>;
+  private polling?: Promise<void>;
+  private active = true;
+  private failure?: AgefixError;
+
+  constructor(source: LogSource, filter: LogFilter, options: SubscriptionOptions = {}) {
+    this.source = source;
+    this.filter = filter;
+    this.options = {
+      pollIntervalMs: options.pollIntervalMs ?? 4000,
+      reorgDepth: options.reorgDepth ?? 12,
+      fromBlock: options.fromBlock,
+      decode: options.decode,
+    };
+    // First poll on the next tick, so listeners can be attached first
+    this.schedule(0);
+  }
+
+  /**
+   * Last block whose logs have been delivered
+   */
+  get lastBlock(): number | undefined {
+    return this.processedBlock;
+  }
+
+  /**
+   * Error of the last poll, or undefined once a poll succeeded. Set whether or
+   * not an `error` listener is attached.
+   */
+  get lastError(): AgefixError | undefined {
+    return this.failure;
+  }
+
+  on<K extends keyof SubscriptionListeners>(event: K, listener: SubscriptionListeners[K]): this {
+    (this.listeners[event] as Set<SubscriptionListeners[K]>).add(listener);
+    return this;
+  }
+
+  off<K extends keyof SubscriptionListeners>(event: K, listener: SubscriptionListeners[K]): this {
+    (this.listeners[event] as Set<SubscriptionListeners[K]>).delete(listener);
+    return this;
+  }
+
+  /**
+   * Stop polling and drop all listeners
+   */
+  unsubscribe(): void {
+    this.active = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+    Object.values(this.listeners).forEach((listeners) => listeners.clear());
+  }
+
+  /**
+   * Poll the node once. Runs automatically every `pollIntervalMs`; exposed so
+   * tests can drive the subscription step by step. Resolves even when the poll
+   * fails; see {@link lastError}.
+   */
+  poll(): Promise<void> {
+    this.polling ??= this.pollOnce().finally(() => {
+      this.polling = undefined;
+    });
+    return this.polling;
+  }
+
+  private schedule(delay: number): void {
+    if (!this.active) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.poll()
+        // Only a throwing `error` listener can get here; keep polling regardless
+        .catch(() => undefined)
+        .finally(() => this.schedule(this.options.pollIntervalMs));
+    }, delay);
+  }
+
+  private async pollOnce(): Promise<void> {
+    try {
+      const latest = await this.source.getBlockNumber();
+      if (this.processedBlock === undefined) {
+        this.processedBlock = (this.options.fromBlock ?? latest + 1) - 1;
+      }
+
+      await this.detectReorg(latest);
+      if (!this.active || latest <= this.processedBlock) {
+        return;
+      }
+
+      // Remember the tip before fetching logs: if the chain reorganises in
+      // between, the stale hash is caught by the next poll
+      const tip = await this.source.getBlock(latest);
+      const logs = await this.source.getLogs({
+        ...this.filter,
+        fromBlock: this.processedBlock + 1,
+        toBlock: latest,
+      });
+
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      for (const log of logs) {
+        const blockLogs = this.delivered.get(log.blockNumber) ?? [];
+        blockLogs.push(log);
+        this.delivered.set(log.blockNumber, blockLogs);
+        if (log.blockHash) {
+          this.blockHashes.set(log.blockNumber, log.blockHash);
+        }
+        this.emit('log', log);
+      }
+      this.blockHashes.set(tip.number, tip.hash);
+      this.processedBlock = latest;
+      this.prune();
+      this.failure = undefined;
+    } catch (error) {
+      this.failure = toAgefixError(error, {
+        method: 'subscribeLogs',
+        message: 'Log subscription poll failed',
+      });
+      this.emit('error', this.failure);
+    }
+  }
+
+  /**
+   * Compare remembered block hashes with the node's current chain and roll
+   * back to the newest block both agree on
+   */
+  private async detectReorg(latest: number): Promise<void> {
+    const tracked = [...this.blockHashes.keys()].sort((a, b) => b - a);
+    if (tracked.length === 0) {
+      return;
+    }
+
+    let ancestor: number | undefined;
+    for (const blockNumber of tracked) {
+      if (blockNumber <= latest) {
+        const block = await this.source.getBlock(blockNumber);
+        if (block.hash === this.blockHashes.get(blockNumber)) {
+          ancestor = blockNumber;
+          break;
+        }
+      }
+    }
+    if (ancestor === tracked[0]) {
+      return;
+    }
+
+    // Deeper than the tracked window: rewind to just before it
+    const rollbackTo = ancestor ?? tracked[tracked.length - 1] - 1;
+    const abandoned = [...this.delivered.keys()]
+      .filter((blockNumber) => blockNumber > rollbackTo)
+      .sort((a, b) => b - a);
+    for (const blockNumber of abandoned) {
+      const logs = this.delivered.get(blockNumber) ?? [];
+      for (const log of [...logs].reverse()) {
+        this.emit('removed', { ...log, removed: true });
+      }
+      this.delivered.delete(blockNumber);
+    }
+    for (const blockNumber of tracked) {
+      if (blockNumber > rollbackTo) {
+        this.blockHashes.delete(blockNumber);
+      }
+    }
+    this.processedBlock = Math.min(this.processedBlock ?? rollbackTo, rollbackTo);
+  }
+
+  private prune(): void {
+    const oldest = (this.processedBlock ?? 0) - this.options.reorgDepth;
+    for (const blockNumber of this.blockHashes.keys()) {
+      if (blockNumber <= oldest) {
+        this.blockHashes.delete(blockNumber);
+      }
+    }
+    for (const blockNumber of this.delivered.keys()) {
+      if (blockNumber <= oldest) {
+        this.delivered.delete(blockNumber);
+      }
+    }
+  }
+
+  private emit(event: 'log' | 'removed', log: Log): void;
+  private emit(event: 'error', error: AgefixError): void;
+  private emit(event: keyof SubscriptionListeners, payload: any): void {
+    if (event === 'error') {
+      this.listeners.error.forEach((listener) => listener(payload));
+      return;
+    }
+    const decoded = this.options.decode?.(payload) ?? null;
+    this.listeners[event].forEach((listener) => {
+      // A failing handler must not stop delivery to the others or stall polling
+      try {
+        listener(payload, decoded);
+      } catch (error) {
+        this.emit(
+          'error',
+          toAgefixError(error, { method: 'subscribeLogs', message: 'Log listener failed' })
+        );
+      }
+    });
+  }
+}
@@ -0,0 +1,1122 @@
+import { getAddress, hexlify, keccak256, toUtf8Bytes } from 'ethers';
+import { AbiParameter, ContractInterface, validateArguments } from './abi';
+import { ConfigurationError } from './errors';
+
+/** Placeholder of a template parameter, e.g. `{{ name }}` */
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/** Start or end of a conditional section, e.g. `{{#if mintable}}` ... `{{/if}}` */
+const SECTION_PATTERN = /\{\{\s*(?:#if\s+(\w+)|\/if)\s*\}\}/g;
+
+/** Section marker alone on its line; the line break is dropped with the marker */
+const STANDALONE_SECTION_PATTERN = /^[ \t]*(\{\{\s*(?:#if\s+\w+|\/if)\s*\}\})[ \t]*\r?\n/gm;
+
+/** Bool parameters beyond which {@link ContractTemplate.matchHash} stops enumerating */
+const MAX_VARIANT_PARAMETERS = 8;
+
+/** Parameter types a template can take */
+const SUPPORTED_TYPE = /^(u?int\d*|address|bool|string|bytes\d*)$/;
+
+/** Template version: `major.minor.patch` with an optional pre-release tag */
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([\w.]+))?$/;
+
+/** Template id: letters, digits, `-` and `_` */
+const ID_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+/**
+ * Hash of AGXCL source, as recorded for templates and deployments
+ * @param source - Contract source
+ * @returns keccak256 of the UTF-8 encoded source
+ */
+export function sourceHash(source: string): string {
+  return keccak256(toUtf8Bytes(source));
+}
+
+/**
+ * Quote a string as an AGXCL string literal. Quotes and backslashes are
+ * escaped, and every character outside printable ASCII is written as a
+ * `\uXXXX` escape, so the value can never end the literal early.
+ */
+function quoteString(value: string): string {
+  let literal = '"';
+  for (const char of value) {
+    const code = char.charCodeAt(0);
+    if (char === '"' || char === '\\') {
+      literal += `\\${char}`;
+    } else if (char === '\n') {
+      literal += '\\n';
+    } else if (char === '\r') {
+      literal += '\\r';
+    } else if (char === '\t') {
+      literal += '\\t';
+    } else if (code >= 0x20 && code < 0x7f) {
+      literal += char;
+    } else {
+      // Characters outside the BMP become a surrogate pair of escapes
+      for (let index = 0; index < char.length; index++) {
+        literal += `\\u${char.charCodeAt(index).toString(16).padStart(4, '0')}`;
+      }
+    }
+  }
+  return `${literal}"`;
+}
+
+/**
+ * Keep or drop the conditional sections of a template. Sections may be
+ * nested; a section is kept when it and every enclosing section are enabled.
+ * @param source - Template source
+ * @param enabled - Whether the section of a parameter is kept
+ * @throws Error on an unbalanced `{{#if}}` / `{{/if}}`
+ */
+function expandSections(source: string, enabled: (name: string) => boolean): string {
+  const text = source.replace(STANDALONE_SECTION_PATTERN, '$1');
+  const stack: boolean[] = [];
+  let output = '';
+  let position = 0;
+  for (const match of text.matchAll(SECTION_PATTERN)) {
+    if (!stack.includes(false)) {
+      output += text.slice(position, match.index);
+    }
+    position = match.index! + match[0].length;
+    if (match[1] !== undefined) {
+      stack.push(enabled(match[1]));
+    } else if (stack.pop() === undefined) {
+      throw new Error('{{/if}} without a matching {{#if}}');
+    }
+  }
+  if (stack.length > 0) {
+    throw new Error('{{#if}} without a matching {{/if}}');
+  }
+  return output + text.slice(position);
+}
+
+/**
+ * Encode a validated value as an AGXCL literal of the given type
+ * @param type - Parameter type, e.g. `uint256` or `string`
+ * @param value - Value, already checked against the type
+ */
+export function encodeLiteral(type: string, value: any): string {
+  if (/^u?int\d*$/.test(type)) {
+    return BigInt(value).toString();
+  }
+  if (type === 'address') {
+    return getAddress(value);
+  }
+  if (type === 'bool') {
+    return value ? 'true' : 'false';
+  }
+  if (type === 'string') {
+    return quoteString(value);
+  }
+  if (/^bytes\d*$/.test(type)) {
+    return `hex"${hexlify(value).slice(2)}"`;
+  }
+  throw new ConfigurationError(`Unsupported template parameter type: ${type}`);
+}
+
+/**
+ * Check the parameter values of a template as a whole, beyond their types,
+ * e.g. that one section is only included together with another
+ * @param values - Parameter values, already checked against their types
+ * @returns Why the values cannot be rendered, or undefined if they can
+ */
+export type TemplateValidator = (values: Record<string, any>) => string | undefined;
+
+/**
+ * AGXCL source with typed parameters.
+ *
+ * Placeholders such as `{{ name }}` are replaced by complete literals, so
+ * they are written without quotes: `string label = {{ label }};`. Values are
+ * validated against the declared parameter types and string values are
+ * escaped, so no value can change the structure of the source. Values that
+ * only matter at deployment are better passed as constructor arguments,
+ * which keeps the source the same for every deployment.
+ *
+ * Sections between `{{#if flag}}` and `{{/if}}` are only included when the
+ * `bool` parameter `flag` is true. Sections may be nested, and a marker alone
+ * on its line is removed together with the line. A {@link TemplateValidator}
+ * rejects combinations that would not form a valid contract.
+ *
+ * @example
+ * const template = new ContractTemplate('Greeter', greeterSource, [
+ *   { name: 'greeting', type: 'string' },
+ * ]);
+ * const code = template.render({ greeting: 'Hello "world"' });
+ */
+export class ContractTemplate {
+  readonly name: string;
+  /** Source with placeholders */
+  readonly source: string;
+  readonly parameters: AbiParameter[];
+  /** {@link sourceHash} of the source with placeholders */
+  readonly hash: string;
+
+  private validate?: TemplateValidator;
+  private cachedInterface?: ContractInterface;
+  private variants?: Map<string, Record<string, boolean>>;
+
+  /**
+   * @param name - Template name, used in error messages
+   * @param source - AGXCL source with placeholders
+   * @param parameters - Declared parameters, one per placeholder name
+   * @param validate - Check of the parameter values as a whole (optional)
+   * @throws ConfigurationError if a placeholder or section is not declared,
+   * a section parameter is not a `bool`, sections are unbalanced or a
+   * parameter type cannot be used in a template
+   */
+  constructor(
+    name: string,
+    source: string,
+    parameters: AbiParameter[] = [],
+    validate?: TemplateValidator
+  ) {
+    this.name = name;
+    this.source = source;
+    this.parameters = parameters;
+    this.validate = validate;
+    this.hash = sourceHash(source);
+
+    for (const param of parameters) {
+      if (!SUPPORTED_TYPE.test(param.type)) {
+        throw new ConfigurationError(
+          `Unsupported type ${param.type} of template parameter ${param.name} in ${name}`
+        );
+      }
+    }
+    for (const match of source.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!parameters.some((param) => param.name === match[1])) {
+        throw new ConfigurationError(`Undeclared placeholder ${match[1]} in template ${name}`);
+      }
+    }
+    for (const match of source.matchAll(SECTION_PATTERN)) {
+      const param = parameters.find((candidate) => candidate.name === match[1]);
+      if (match[1] !== undefined && param?.type !== 'bool') {
+        throw new ConfigurationError(
+          `Section ${match[1]} in template ${name} needs a declared bool parameter`
+        );
+      }
+    }
+    try {
+      expandSections(source, () => true);
+    } catch (error) {
+      throw new ConfigurationError(`Invalid template ${name}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Functions and events of the template, with every section included.
+   * Placeholders must only stand for values, so the declarations of a
+   * rendering are the ones of its included sections.
+   */
+  get interface(): ContractInterface {
+    this.cachedInterface ??= ContractInterface.fromSource(expandSections(this.source, () => true));
+    return this.cachedInterface;
+  }
+
+  /**
+   * Find the parameter values a rendering was produced with, from its hash.
+   * Only templates whose parameters are all `bool` (at most 8) can be
+   * matched, by rendering every combination.
+   * @param hash - {@link sourceHash} of deployed source
+   * @returns Parameter values, `{}` for the source of a template without
+   * parameters, or undefined if no rendering has the hash
+   */
+  matchHash(hash: string): Record<string, boolean> | undefined {
+    const normalized = hash.toLowerCase();
+    if (this.parameters.length === 0) {
+      return normalized === this.hash ? {} : undefined;
+    }
+    return this.renderVariants().get(normalized);
+  }
+
+  /**
+   * Hashes of every rendering {@link matchHash} recognises; combinations
+   * the template's validator rejects are left out
+   */
+  variantHashes(): string[] {
+    return this.parameters.length === 0 ? [this.hash] : [...this.renderVariants().keys()];
+  }
+
+  /**
+   * Produce the AGXCL source for a set of parameter values
+   * @param values - Value of every declared parameter, keyed by name
+   * @returns Source ready to deploy
+   * @throws ConfigurationError if a value is missing, unknown or does not
+   * match its parameter type, or the template's validator rejects the values
+   */
+  render(values: Record<string, any> = {}): string {
+    for (const key of Object.keys(values)) {
+      if (!this.parameters.some((param) => param.name === key)) {
+        throw new ConfigurationError(`Unknown parameter ${key} of template ${this.name}`);
+      }
+    }
+    for (const param of this.parameters) {
+      if (values[param.name] === undefined) {
+        throw new ConfigurationError(`Missing parameter ${param.name} of template ${this.name}`);
+      }
+    }
+    validateArguments(
+      `template ${this.name}`,
+      this.parameters,
+      this.parameters.map((param) => values[param.name])
+    );
+    const problem = this.validate?.(values);
+    if (problem) {
+      throw new ConfigurationError(`Invalid parameters of template ${this.name}: ${problem}`);
+    }
+
+    const types = new Map(this.parameters.map((param) => [param.name, param.type]));
+    return expandSections(this.source, (key) => values[key] === true).replace(
+      PLACEHOLDER_PATTERN,
+      (_match, key: string) => encodeLiteral(types.get(key)!, values[key])
+    );
+  }
+
+  /**
+   * Render every combination of a template whose parameters are all `bool`,
+   * keyed by source hash
+   */
+  private renderVariants(): Map<string, Record<string, boolean>> {
+    if (!this.variants) {
+      this.variants = new Map();
+      const flags = this.parameters.map((param) => param.name);
+      if (
+        flags.length <= MAX_VARIANT_PARAMETERS &&
+        this.parameters.every((param) => param.type === 'bool')
+      ) {
+        for (let combination = 0; combination < 1 << flags.length; combination++) {
+          const values = Object.fromEntries(
+            flags.map((flag, index) => [flag, (combination & (1 << index)) !== 0])
+          );
+          if (this.validate?.(values)) {
+            continue;
+          }
+          this.variants.set(sourceHash(this.render(values)), values);
+        }
+      }
+    }
+    return this.variants;
+  }
+}
+
+/**
+ * First token template (`token@1.0.0`), kept so its deployments can still be
+ * deployed and verified
+ */
+const TOKEN_TEMPLATE_1_0_0 = new ContractTemplate(
+  'Token',
+  `contract Token {
+  state {
+    string name;
+    string symbol;
+    uint256 totalSupply;
+    mapping(address => uint256) balances;
+    mapping(address => mapping(address => uint256)) allowances;
+  }
+
+  constructor(string memory tokenName, string memory tokenSymbol, uint256 initialSupply) {
+    name = tokenName;
+    symbol = tokenSymbol;
+    totalSupply = initialSupply;
+    balances[msg.sender] = initialSupply;
+  }
+
+  function balanceOf(address account) public view returns (uint256) {
+    return balances[account];
+  }
+
+  function transfer(address to, uint256 amount) public returns (bool) {
+    require(balances[msg.sender] >= amount, "Insufficient balance");
+    balances[msg.sender] -= amount;
+    balances[to] += amount;
+    emit Transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function approve(address spender, uint256 amount) public returns (bool) {
+    allowances[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+    require(balances[from] >= amount, "Insufficient balance");
+    require(allowances[from][msg.sender] >= amount, "Insufficient allowance");
+    balances[from] -= amount;
+    balances[to] += amount;
+    allowances[from][msg.sender] -= amount;
+    emit Transfer(from, to, amount);
+    return true;
+  }
+
+  event Transfer(address indexed from, address indexed to, uint256 value);
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+}
+`
+);
+
+/**
+ * Token template `token@1.1.0`, with the ERC-20 views and allowance changes
+ */
+const TOKEN_TEMPLATE_1_1_0 = new ContractTemplate(
+  'Token',
+  `contract Token {
+  state {
+    string _name;
+    string _symbol;
+    uint256 _totalSupply;
+    mapping(address => uint256) balances;
+    mapping(address => mapping(address => uint256)) allowances;
+  }
+
+  constructor(string memory tokenName, string memory tokenSymbol, uint256 initialSupply) {
+    _name = tokenName;
+    _symbol = tokenSymbol;
+    _totalSupply = initialSupply;
+    balances[msg.sender] = initialSupply;
+  }
+
+  function name() public view returns (string memory) {
+    return _name;
+  }
+
+  function symbol() public view returns (string memory) {
+    return _symbol;
+  }
+
+  function totalSupply() public view returns (uint256) {
+    return _totalSupply;
+  }
+
+  function balanceOf(address account) public view returns (uint256) {
+    return balances[account];
+  }
+
+  function allowance(address owner, address spender) public view returns (uint256) {
+    return allowances[owner][spender];
+  }
+
+  function transfer(address to, uint256 amount) public returns (bool) {
+    require(balances[msg.sender] >= amount, "Insufficient balance");
+    balances[msg.sender] -= amount;
+    balances[to] += amount;
+    emit Transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function approve(address spender, uint256 amount) public returns (bool) {
+    allowances[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function increaseAllowance(address spender, uint256 addedValue) public returns (bool) {
+    allowances[msg.sender][spender] += addedValue;
+    emit Approval(msg.sender, spender, allowances[msg.sender][spender]);
+    return true;
+  }
+
+  function decreaseAllowance(address spender, uint256 subtractedValue) public returns (bool) {
+    require(allowances[msg.sender][spender] >= subtractedValue, "Decreased allowance below zero");
+    allowances[msg.sender][spender] -= subtractedValue;
+    emit Approval(msg.sender, spender, allowances[msg.sender][spender]);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+    require(balances[from] >= amount, "Insufficient balance");
+    require(allowances[from][msg.sender] >= amount, "Insufficient allowance");
+    balances[from] -= amount;
+    balances[to] += amount;
+    allowances[from][msg.sender] -= amount;
+    emit Transfer(from, to, amount);
+    return true;
+  }
+
+  event Transfer(address indexed from, address indexed to, uint256 value);
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+}
+`
+);
+
+/**
+ * Token template `token@1.2.0`, with decimals
+ */
+const TOKEN_TEMPLATE_1_2_0 = new ContractTemplate(
+  'Token',
+  `contract Token {
+  state {
+    string _name;
+    string _symbol;
+    uint8 _decimals;
+    uint256 _totalSupply;
+    mapping(address => uint256) balances;
+    mapping(address => mapping(address => uint256)) allowances;
+  }
+
+  constructor(
+    string memory tokenName,
+    string memory tokenSymbol,
+    uint8 tokenDecimals,
+    uint256 initialSupply
+  ) {
+    _name = tokenName;
+    _symbol = tokenSymbol;
+    _decimals = tokenDecimals;
+    _totalSupply = initialSupply;
+    balances[msg.sender] = initialSupply;
+  }
+
+  function name() public view returns (string memory) {
+    return _name;
+  }
+
+  function symbol() public view returns (string memory) {
+    return _symbol;
+  }
+
+  function decimals() public view returns (uint8) {
+    return _decimals;
+  }
+
+  function totalSupply() public view returns (uint256) {
+    return _totalSupply;
+  }
+
+  function balanceOf(address account) public view returns (uint256) {
+    return balances[account];
+  }
+
+  function allowance(address owner, address spender) public view returns (uint256) {
+    return allowances[owner][spender];
+  }
+
+  function transfer(address to, uint256 amount) public returns (bool) {
+    require(balances[msg.sender] >= amount, "Insufficient balance");
+    balances[msg.sender] -= amount;
+    balances[to] += amount;
+    emit Transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function approve(address spender, uint256 amount) public returns (bool) {
+    allowances[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function increaseAllowance(address spender, uint256 addedValue) public returns (bool) {
+    allowances[msg.sender][spender] += addedValue;
+    emit Approval(msg.sender, spender, allowances[msg.sender][spender]);
+    return true;
+  }
+
+  function decreaseAllowance(address spender, uint256 subtractedValue) public returns (bool) {
+    require(allowances[msg.sender][spender] >= subtractedValue, "Decreased allowance below zero");
+    allowances[msg.sender][spender] -= subtractedValue;
+    emit Approval(msg.sender, spender, allowances[msg.sender][spender]);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+    require(balances[from] >= amount, "Insufficient balance");
+    require(allowances[from][msg.sender] >= amount, "Insufficient allowance");
+    balances[from] -= amount;
+    balances[to] += amount;
+    allowances[from][msg.sender] -= amount;
+    emit Transfer(from, to, amount);
+    return true;
+  }
+
+  event Transfer(address indexed from, address indexed to, uint256 value);
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+}
+`
+);
+
+/**
+ * Token template (`token@1.3.0`) deployed by `TokenContract`. Name, symbol,
+ * decimals, supply and cap are constructor arguments; the optional features
+ * are `bool` parameters. `mintable` and `pausable` need `ownable`.
+ */
+export const TOKEN_TEMPLATE = new ContractTemplate(
+  'Token',
+  `contract Token {
+  state {
+    string _name;
+    string _symbol;
+    uint8 _decimals;
+    uint256 _totalSupply;
+    mapping(address => uint256) balances;
+    mapping(address => mapping(address => uint256)) allowances;
+    {{#if ownable}}
+    address _owner;
+    {{/if}}
+    {{#if pausable}}
+    bool _paused;
+    {{/if}}
+    {{#if capped}}
+    uint256 _cap;
+    {{/if}}
+  }
+
+  constructor(
+    string memory tokenName,
+    string memory tokenSymbol,
+    uint8 tokenDecimals,
+    uint256 initialSupply{{#if capped}},
+    uint256 supplyCap{{/if}}
+  ) {
+    {{#if capped}}
+    require(initialSupply <= supplyCap, "Cap exceeded");
+    _cap = supplyCap;
+    {{/if}}
+    _name = tokenName;
+    _symbol = tokenSymbol;
+    _decimals = tokenDecimals;
+    _totalSupply = initialSupply;
+    balances[msg.sender] = initialSupply;
+    {{#if ownable}}
+    _owner = msg.sender;
+    emit OwnershipTransferred(address(0), msg.sender);
+    {{/if}}
+  }
+
+  function name() public view returns (string memory) {
+    return _name;
+  }
+
+  function symbol() public view returns (string memory) {
+    return _symbol;
+  }
+
+  function decimals() public view returns (uint8) {
+    return _decimals;
+  }
+
+  function totalSupply() public view returns (uint256) {
+    return _totalSupply;
+  }
+
+  function balanceOf(address account) public view returns (uint256) {
+    return balances[account];
+  }
+
+  function allowance(address owner, address spender) public view returns (uint256) {
+    return allowances[owner][spender];
+  }
+
+  function transfer(address to, uint256 amount) public returns (bool) {
+    {{#if pausable}}
+    require(!_paused, "Token is paused");
+    {{/if}}
+    require(balances[msg.sender] >= amount, "Insufficient balance");
+    balances[msg.sender] -= amount;
+    balances[to] += amount;
+    emit Transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function approve(address spender, uint256 amount) public returns (bool) {
+    allowances[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function increaseAllowance(address spender, uint256 addedValue) public returns (bool) {
+    allowances[msg.sender][spender] += addedValue;
+    emit Approval(msg.sender, spender, allowances[msg.sender][spender]);
+    return true;
+  }
+
+  function decreaseAllowance(address spender, uint256 subtractedValue) public returns (bool) {
+    require(allowances[msg.sender][spender] >= subtractedValue, "Decreased allowance below zero");
+    allowances[msg.sender][spender] -= subtractedValue;
+    emit Approval(msg.sender, spender, allowances[msg.sender][spender]);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+    {{#if pausable}}
+    require(!_paused, "Token is paused");
+    {{/if}}
+    require(balances[from] >= amount, "Insufficient balance");
+    require(allowances[from][msg.sender] >= amount, "Insufficient allowance");
+    balances[from] -= amount;
+    balances[to] += amount;
+    allowances[from][msg.sender] -= amount;
+    emit Transfer(from, to, amount);
+    return true;
+  }
+  {{#if ownable}}
+
+  function owner() public view returns (address) {
+    return _owner;
+  }
+
+  function transferOwnership(address newOwner) public returns (bool) {
+    require(msg.sender == _owner, "Caller is not the owner");
+    require(newOwner != address(0), "New owner is the zero address");
+    emit OwnershipTransferred(_owner, newOwner);
+    _owner = newOwner;
+    return true;
+  }
+  {{/if}}
+  {{#if mintable}}
+
+  function mint(address to, uint256 amount) public returns (bool) {
+    require(msg.sender == _owner, "Caller is not the owner");
+    {{#if pausable}}
+    require(!_paused, "Token is paused");
+    {{/if}}
+    {{#if capped}}
+    require(_totalSupply + amount <= _cap, "Cap exceeded");
+    {{/if}}
+    _totalSupply += amount;
+    balances[to] += amount;
+    emit Transfer(address(0), to, amount);
+    return true;
+  }
+  {{/if}}
+  {{#if burnable}}
+
+  function burn(uint256 amount) public returns (bool) {
+    {{#if pausable}}
+    require(!_paused, "Token is paused");
+    {{/if}}
+    require(balances[msg.sender] >= amount, "Insufficient balance");
+    balances[msg.sender] -= amount;
+    _totalSupply -= amount;
+    emit Transfer(msg.sender, address(0), amount);
+    return true;
+  }
+  {{/if}}
+  {{#if pausable}}
+
+  function paused() public view returns (bool) {
+    return _paused;
+  }
+
+  function pause() public returns (bool) {
+    require(msg.sender == _owner, "Caller is not the owner");
+    require(!_paused, "Token is paused");
+    _paused = true;
+    emit Paused(msg.sender);
+    return true;
+  }
+
+  function unpause() public returns (bool) {
+    require(msg.sender == _owner, "Caller is not the owner");
+    require(_paused, "Token is not paused");
+    _paused = false;
+    emit Unpaused(msg.sender);
+    return true;
+  }
+  {{/if}}
+  {{#if capped}}
+
+  function cap() public view returns (uint256) {
+    return _cap;
+  }
+  {{/if}}
+
+  event Transfer(address indexed from, address indexed to, uint256 value);
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+  {{#if ownable}}
+  event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+  {{/if}}
+  {{#if pausable}}
+  event Paused(address account);
+  event Unpaused(address account);
+  {{/if}}
+}
+`,
+  [
+    { name: 'mintable', type: 'bool' },
+    { name: 'burnable', type: 'bool' },
+    { name: 'pausable', type: 'bool' },
+    { name: 'capped', type: 'bool' },
+    { name: 'ownable', type: 'bool' },
+  ],
+  // Minting and pausing are restricted to the owner
+  (values) =>
+    (values.mintable || values.pausable) && !values.ownable
+      ? 'mintable and pausable need ownable'
+      : undefined
+);
+
+/**
+ * NFT template `nft@1.0.0`, without transfers
+ */
+const NFT_TEMPLATE_1_0_0 = new ContractTemplate(
+  'NFT',
+  `contract NFT {
+  state {
+    string name;
+    string symbol;
+    uint256 nextTokenId = 1;
+    mapping(uint256 => address) owners;
+    mapping(uint256 => string) tokenURIs;
+    mapping(address => uint256) balances;
+  }
+
+  constructor(string memory collectionName, string memory collectionSymbol) {
+    name = collectionName;
+    symbol = collectionSymbol;
+  }
+
+  function mint(address to, string memory uri) public returns (uint256) {
+    uint256 tokenId = nextTokenId++;
+    owners[tokenId] = to;
+    tokenURIs[tokenId] = uri;
+    balances[to]++;
+    emit Mint(to, tokenId, uri);
+    return tokenId;
+  }
+
+  function ownerOf(uint256 tokenId) public view returns (address) {
+    return owners[tokenId];
+  }
+
+  function tokenURI(uint256 tokenId) public view returns (string memory) {
+    return tokenURIs[tokenId];
+  }
+
+  function balanceOf(address owner) public view returns (uint256) {
+    return balances[owner];
+  }
+
+  event Mint(address indexed to, uint256 indexed tokenId, string uri);
+}
+`
+);
+
+/**
+ * NFT template (`nft@1.1.0`) deployed by `NFTContract`, with transfers,
+ * approvals and enumeration by owner. Name and symbol are constructor
+ * arguments.
+ */
+export const NFT_TEMPLATE = new ContractTemplate(
+  'NFT',
+  `contract NFT {
+  state {
+    string name;
+    string symbol;
+    uint256 nextTokenId = 1;
+    mapping(uint256 => address) owners;
+    mapping(uint256 => string) tokenURIs;
+    mapping(address => uint256[]) ownedTokens;
+    mapping(uint256 => uint256) ownedTokensIndex;
+    mapping(uint256 => address) tokenApprovals;
+    mapping(address => mapping(address => bool)) operatorApprovals;
+  }
+
+  constructor(string memory collectionName, string memory collectionSymbol) {
+    name = collectionName;
+    symbol = collectionSymbol;
+  }
+
+  function mint(address to, string memory uri) public returns (uint256) {
+    require(to != address(0), "Mint to the zero address");
+    uint256 tokenId = nextTokenId++;
+    owners[tokenId] = to;
+    tokenURIs[tokenId] = uri;
+    ownedTokensIndex[tokenId] = ownedTokens[to].length;
+    ownedTokens[to].push(tokenId);
+    emit Transfer(address(0), to, tokenId);
+    emit Mint(to, tokenId, uri);
+    return tokenId;
+  }
+
+  function ownerOf(uint256 tokenId) public view returns (address) {
+    return owners[tokenId];
+  }
+
+  function tokenURI(uint256 tokenId) public view returns (string memory) {
+    require(owners[tokenId] != address(0), "Token does not exist");
+    return tokenURIs[tokenId];
+  }
+
+  function balanceOf(address owner) public view returns (uint256) {
+    return ownedTokens[owner].length;
+  }
+
+  function totalSupply() public view returns (uint256) {
+    return nextTokenId - 1;
+  }
+
+  function tokenOfOwnerByIndex(address owner, uint256 index) public view returns (uint256) {
+    require(index < ownedTokens[owner].length, "Owner index out of bounds");
+    return ownedTokens[owner][index];
+  }
+
+  function tokensOfOwner(address owner) public view returns (uint256[] memory) {
+    return ownedTokens[owner];
+  }
+
+  function getApproved(uint256 tokenId) public view returns (address) {
+    require(owners[tokenId] != address(0), "Token does not exist");
+    return tokenApprovals[tokenId];
+  }
+
+  function isApprovedForAll(address owner, address operator) public view returns (bool) {
+    return operatorApprovals[owner][operator];
+  }
+
+  function approve(address to, uint256 tokenId) public returns (bool) {
+    address owner = owners[tokenId];
+    require(owner != address(0), "Token does not exist");
+    require(to != owner, "Approval to the current owner");
+    require(
+      msg.sender == owner || operatorApprovals[owner][msg.sender],
+      "Caller is not the owner nor an approved operator"
+    );
+    tokenApprovals[tokenId] = to;
+    emit Approval(owner, to, tokenId);
+    return true;
+  }
+
+  function setApprovalForAll(address operator, bool approved) public returns (bool) {
+    require(operator != msg.sender, "Approval to the caller");
+    operatorApprovals[msg.sender][operator] = approved;
+    emit ApprovalForAll(msg.sender, operator, approved);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 tokenId) public returns (bool) {
+    _transfer(from, to, tokenId);
+    return true;
+  }
+
+  function safeTransferFrom(
+    address from,
+    address to,
+    uint256 tokenId,
+    bytes memory data
+  ) public returns (bool) {
+    _transfer(from, to, tokenId);
+
+    // Contracts must accept the token, so it cannot get stuck where nobody can move it
+    if (to.code.length > 0) {
+      (bool success, bytes memory answer) = to.call(
+        abi.encodeWithSignature(
+          "onNFTReceived(address,address,uint256,bytes)",
+          msg.sender,
+          from,
+          tokenId,
+          data
+        )
+      );
+      require(success && abi.decode(answer, (bool)), "Receiver does not accept NFTs");
+    }
+    return true;
+  }
+
+  // Checks and bookkeeping shared by every transfer
+  function _transfer(address from, address to, uint256 tokenId) internal {
+    address owner = owners[tokenId];
+    require(owner != address(0), "Token does not exist");
+    require(owner == from, "Transfer from an address that does not own the token");
+    require(to != address(0), "Transfer to the zero address");
+    require(
+      msg.sender == owner ||
+        tokenApprovals[tokenId] == msg.sender ||
+        operatorApprovals[owner][msg.sender],
+      "Caller is not the owner nor approved"
+    );
+
+    delete tokenApprovals[tokenId];
+    uint256 index = ownedTokensIndex[tokenId];
+    uint256 lastTokenId = ownedTokens[from][ownedTokens[from].length - 1];
+    ownedTokens[from][index] = lastTokenId;
+    ownedTokensIndex[lastTokenId] = index;
+    ownedTokens[from].pop();
+    ownedTokensIndex[tokenId] = ownedTokens[to].length;
+    ownedTokens[to].push(tokenId);
+    owners[tokenId] = to;
+    emit Transfer(from, to, tokenId);
+  }
+
+  event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+  event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+  event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+  event Mint(address indexed to, uint256 indexed tokenId, string uri);
+}
+`
+);
+
+/**
+ * Templates shipped with the SDK, oldest version first. Every
+ * {@link TemplateRegistry} starts with these unless created without built-ins.
+ */
+export const BUILTIN_TEMPLATES: ReadonlyArray<{
+  id: string;
+  version: string;
+  template: ContractTemplate;
+}> = [
+  { id: 'token', version: '1.0.0', template: TOKEN_TEMPLATE_1_0_0 },
+  { id: 'token', version: '1.1.0', template: TOKEN_TEMPLATE_1_1_0 },
+  { id: 'token', version: '1.2.0', template: TOKEN_TEMPLATE_1_2_0 },
+  { id: 'token', version: '1.3.0', template: TOKEN_TEMPLATE },
+  { id: 'nft', version: '1.0.0', template: NFT_TEMPLATE_1_0_0 },
+  { id: 'nft', version: '1.1.0', template: NFT_TEMPLATE },
+];
+
+/**
+ * Identification of a registered template
+ */
+export interface TemplateInfo {
+  /** Template id, e.g. `token` */
+  id: string;
+  /** Version, e.g. `1.0.0` */
+  version: string;
+  /** {@link sourceHash} of the template source */
+  hash: string;
+}
+
+export interface RegisteredTemplate extends TemplateInfo {
+  template: ContractTemplate;
+}
+
+function compareVersions(a: string, b: string): number {
+  const left = a.match(VERSION_PATTERN)!;
+  const right = b.match(VERSION_PATTERN)!;
+  for (let index = 1; index <= 3; index++) {
+    const difference = Number(left[index]) - Number(right[index]);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  // A pre-release sorts before the release it leads up to
+  if (left[4] === right[4]) {
+    return 0;
+  }
+  if (left[4] === undefined || right[4] === undefined) {
+    return left[4] === undefined ? 1 : -1;
+  }
+  return left[4] < right[4] ? -1 : 1;
+}
+
+/**
+ * Named, versioned contract templates. A version, once registered, always
+ * refers to the same source; publish changes under a new version.
+ *
+ * The registry starts with the SDK's {@link BUILTIN_TEMPLATES} unless
+ * created with `{ builtins: false }`.
+ *
+ * @example
+ * registry.register('vault', '1.0.0', new ContractTemplate('Vault', vaultSource));
+ * const { template, hash } = registry.get('vault@1.0.0');
+ */
+export class TemplateRegistry {
+  private templates = new Map<string, RegisteredTemplate[]>();
+
+  constructor(options: { builtins?: boolean } = {}) {
+    if (options.builtins !== false) {
+      for (const { id, version, template } of BUILTIN_TEMPLATES) {
+        this.register(id, version, template);
+      }
+    }
+  }
+
+  /**
+   * Add a template version
+   * @param id - Template id
+   * @param version - Semantic version, e.g. `1.2.0`
+   * @param template - Template, or plain AGXCL source without placeholders
+   * @returns The registered entry
+   * @throws ConfigurationError if the id or version is malformed, or the
+   * version is already registered with a different source
+   */
+  register(
+    id: string,
+    version: string,
+    template: ContractTemplate | string
+  ): RegisteredTemplate {
+    if (!ID_PATTERN.test(id)) {
+      throw new ConfigurationError(`Invalid template id: ${id}`);
+    }
+    if (!VERSION_PATTERN.test(version)) {
+      throw new ConfigurationError(`Invalid version ${version} of template ${id}`);
+    }
+    const resolved = typeof template === 'string' ? new ContractTemplate(id, template) : template;
+
+    const versions = this.templates.get(id) ?? [];
+    const existing = versions.find((entry) => entry.version === version);
+    if (existing) {
+      if (existing.hash !== resolved.hash) {
+        throw new ConfigurationError(
+          `Template ${id}@${version} is already registered with a different source`
+        );
+      }
+      return existing;
+    }
+
+    const entry = { id, version, hash: resolved.hash, template: resolved };
+    versions.push(entry);
+    versions.sort((a, b) => compareVersions(a.version, b.version));
+    this.templates.set(id, versions);
+    return entry;
+  }
+
+  /**
+   * Look up a template
+   * @param ref - `id@version`, or a bare id for its latest release
+   * @throws ConfigurationError if the template or version is not registered
+   */
+  get(ref: string): RegisteredTemplate {
+    const entry = this.find(ref);
+    if (!entry) {
+      throw new ConfigurationError(`Unknown template: ${ref}`);
+    }
+    return entry;
+  }
+
+  /**
+   * @param ref - `id@version`, or a bare id
+   */
+  has(ref: string): boolean {
+    return this.find(ref) !== undefined;
+  }
+
+  /**
+   * Find the template a source hash belongs to
+   * @param hash - {@link sourceHash} of a template source, or of a rendering
+   * recognised by {@link ContractTemplate.matchHash}
+   */
+  findByHash(hash: string): RegisteredTemplate | undefined {
+    for (const versions of this.templates.values()) {
+      const entry = versions.find(
+        (candidate) =>
+          candidate.hash === hash.toLowerCase() || candidate.template.matchHash(hash) !== undefined
+      );
+      if (entry) {
+        return entry;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Every registered template version, grouped by id and oldest first
+   */
+  list(): TemplateInfo[] {
+    return [...this.templates.values()].flat().map(({ id, version, hash }) => ({
+      id,
+      version,
+      hash,
+    }));
+  }
+
+  private find(ref: string): RegisteredTemplate | undefined {
+    const [id, version] = ref.split('@');
+    const versions = this.templates.get(id) ?? [];
+    if (version !== undefined) {
+      return versions.find((entry) => entry.version === version);
+    }
+    // Latest release; pre-releases only when there is nothing else
+    const releases = versions.filter((entry) => !entry.version.includes('-'));
+    const candidates = releases.length ? releases : versions;
+    return candidates[candidates.length - 1];
+  }
+}
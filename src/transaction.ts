@@ -0,0 +1,168 @@
+import { Wallet, getBytes, hexlify, keccak256, toUtf8Bytes } from 'ethers';
+import { ConfigurationError } from './errors';
+
+/** Integer amount: a bigint, a safe integer or a decimal / hex string */
+export type Quantity = bigint | number | string;
+
+/**
+ * Transaction payload built by the client before signing
+ */
+export interface UnsignedTransaction {
+  type: 'deploy' | 'execute';
+  chainId: string;
+  from: string;
+  to?: string;
+  code?: string;
+  method?: string;
+  args: any[];
+  value: string;
+  /**
+   * Sequence number of the sender's transaction. Always signed, so two
+   * otherwise identical transactions never share a hash and a signed
+   * transaction cannot be replayed.
+   */
+  nonce: number;
+  /** Maximum gas the transaction may use, as a decimal string */
+  gasLimit?: string;
+  /** Maximum total price per unit of gas, in the smallest AGX unit */
+  maxFeePerGas?: string;
+  /** Maximum tip per unit of gas, in the smallest AGX unit */
+  maxPriorityFeePerGas?: string;
+}
+
+/**
+ * Per-transaction settings accepted by every write. Fields left out are
+ * filled in from the node.
+ */
+export interface TransactionOverrides {
+  /** Gas limit; estimated with `estimateGas` when omitted */
+  gasLimit?: Quantity;
+  /** Factor applied to the gas estimate when `gasLimit` is omitted (default 1.2) */
+  gasMultiplier?: number;
+  /** Fee cap per unit of gas; taken from the node's fee data when omitted */
+  maxFeePerGas?: Quantity;
+  /** Tip cap per unit of gas; taken from the node's fee data when omitted */
+  maxPriorityFeePerGas?: Quantity;
+  /** Explicit nonce; assigned by the client's nonce manager when omitted */
+  nonce?: number;
+  /** Amount of AGX to send, in the smallest unit (default 0) */
+  value?: Quantity;
+}
+
+/**
+ * Current gas prices reported by the node, in the smallest AGX unit
+ */
+export interface FeeData {
+  /** Suggested fee cap per unit of gas */
+  maxFeePerGas?: bigint;
+  /** Suggested tip per unit of gas */
+  maxPriorityFeePerGas?: bigint;
+  /** Legacy single gas price, for nodes without fee caps */
+  gasPrice?: bigint;
+}
+
+/**
+ * Signed transaction ready to be submitted to the RPC node
+ */
+export interface SignedTransaction {
+  hash: string;
+  from: string;
+  serialized: string;
+}
+
+/**
+ * Validate an integer amount and convert it to a decimal string
+ * @param name - Field name, reported on the error
+ * @param value - Amount to convert
+ * @throws ConfigurationError if the value is not a non-negative integer
+ */
+export function toQuantity(name: string, value: Quantity): string {
+  let amount: bigint;
+  try {
+    if (
+      (typeof value === 'number' && !Number.isSafeInteger(value)) ||
+      (typeof value === 'string' && value.trim() === '')
+    ) {
+      throw new RangeError('not an integer');
+    }
+    amount = BigInt(value);
+  } catch {
+    throw new ConfigurationError(`Invalid ${name}: ${String(value)}`);
+  }
+  if (amount < 0n) {
+    throw new ConfigurationError(`Invalid ${name}: must not be negative`);
+  }
+  return amount.toString();
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so that the same
+ * transaction always produces the same bytes (and therefore the same hash)
+ * @param value - Value to serialize
+ * @returns Canonical JSON string
+ */
+export function canonicalJson(value: any): string {
+  return JSON.stringify(value, (_key, val) => {
+    if (typeof val === 'bigint') {
+      return val.toString();
+    }
+    if (val && typeof val === 'object' && !Array.isArray(val)) {
+      const sorted: Record<string, any> = {};
+      for (const key of Object.keys(val).sort()) {
+        if (val[key] !== undefined) {
+          sorted[key] = val[key];
+        }
+      }
+      return sorted;
+    }
+    return val;
+  });
+}
+
+/**
+ * Compute the digest that is signed for a transaction
+ * @param tx - Unsigned transaction
+ * @returns keccak256 hash of the canonical transaction encoding
+ * @throws ConfigurationError if the transaction has no valid nonce
+ */
+export function transactionDigest(tx: UnsignedTransaction): string {
+  if (!Number.isSafeInteger(tx.nonce) || tx.nonce < 0) {
+    throw new ConfigurationError(
+      `Invalid nonce: ${tx.nonce}; every transaction must be signed with one`
+    );
+  }
+  return keccak256(toUtf8Bytes(canonicalJson(tx)));
+}
+
+/**
+ * Attach a signature to a transaction and serialize it
+ * @param tx - Unsigned transaction
+ * @param signature - Signature over the transaction digest
+ * @returns Signed, serialized transaction and its hash
+ */
+export function serializeSignedTransaction(
+  tx: UnsignedTransaction,
+  signature: string
+): SignedTransaction {
+  const serialized = hexlify(toUtf8Bytes(canonicalJson({ ...tx, signature })));
+  return {
+    hash: keccak256(serialized),
+    from: tx.from,
+    serialized,
+  };
+}
+
+/**
+ * Sign a transaction locally with a wallet. The private key never leaves
+ * the process; only the signature is included in the serialized output.
+ * @param tx - Unsigned transaction
+ * @param wallet - ethers wallet holding the private key
+ * @returns Signed, serialized transaction and its hash
+ */
+export async function signTransaction(
+  tx: UnsignedTransaction,
+  wallet: Wallet
+): Promise<SignedTransaction> {
+  const signature = await wallet.signMessage(getBytes(transactionDigest(tx)));
+  return serializeSignedTransaction(tx, signature);
+}
@@ -0,0 +1,93 @@
+import { ConfigurationError } from './errors';
+import { AGX_DECIMALS } from './receipt';
+import { Quantity, toQuantity } from './transaction';
+
+/** Decimal amount: digits with an optional fractional part */
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+function checkDecimals(decimals: number): void {
+  if (!Number.isSafeInteger(decimals) || decimals < 0 || decimals > 255) {
+    throw new ConfigurationError(`Invalid decimals: ${decimals}`);
+  }
+}
+
+/**
+ * Convert a decimal amount to an integer number of base units, e.g.
+ * `parseUnits('1.5', 6)` is `1500000n`
+ * @param value - Amount as a decimal string, or a number or bigint of whole units
+ * @param decimals - Decimal places of the unit
+ * @throws ConfigurationError if the amount is not a non-negative decimal
+ * number or has more decimal places than the unit
+ */
+export function parseUnits(value: string | number | bigint, decimals: number): bigint {
+  checkDecimals(decimals);
+  const text = typeof value === 'string' ? value.trim() : String(value);
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new ConfigurationError(`Invalid amount: ${text}`);
+  }
+  if (text.startsWith('-')) {
+    throw new ConfigurationError(`Invalid amount ${text}: must not be negative`);
+  }
+
+  const match = text.match(DECIMAL_PATTERN);
+  if (!match || (match[1] === '' && !match[2])) {
+    // Also rejects the exponent form numbers use for very large and small values
+    throw new ConfigurationError(`Invalid amount: ${text}`);
+  }
+  const [, whole, fraction = ''] = match;
+  if (fraction.replace(/0+$/, '').length > decimals) {
+    throw new ConfigurationError(
+      `Invalid amount ${text}: more than ${decimals} decimal place${decimals === 1 ? '' : 's'}`
+    );
+  }
+  return BigInt((whole || '0') + fraction.padEnd(decimals, '0').slice(0, decimals));
+}
+
+/**
+ * Format an integer number of base units as a decimal amount, e.g.
+ * `formatUnits(1500000n, 6)` is `'1.5'`
+ * @param value - Amount in base units
+ * @param decimals - Decimal places of the unit
+ * @returns Decimal string without trailing zeros, e.g. `'1.5'` or `'2.0'`
+ */
+export function formatUnits(value: bigint | number | string, decimals: number): string {
+  checkDecimals(decimals);
+  let amount: bigint;
+  try {
+    amount = BigInt(value);
+  } catch {
+    throw new ConfigurationError(`Invalid amount: ${String(value)}`);
+  }
+
+  const sign = amount < 0n ? '-' : '';
+  const digits = (amount < 0n ? -amount : amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${sign}${whole}.${fraction || '0'}`;
+}
+
+/**
+ * Convert an AGX amount to its smallest unit
+ * @param value - Amount of AGX, e.g. `'0.25'`
+ */
+export function parseAgx(value: string | number | bigint): bigint {
+  return parseUnits(value, AGX_DECIMALS);
+}
+
+/**
+ * Format an amount in the smallest AGX unit as AGX
+ * @param value - Amount in the smallest unit, e.g. a balance
+ */
+export function formatAgx(value: bigint | number | string): string {
+  return formatUnits(value, AGX_DECIMALS);
+}
+
+/**
+ * Validate an integer amount of base units and convert it to bigint
+ * @param name - Argument name, reported on the error
+ * @param value - Amount in base units
+ * @throws ConfigurationError if the amount is negative, fractional or not a number
+ */
+export function toAmount(name: string, value: Quantity): bigint {
+  return BigInt(toQuantity(name, value));
+}